@@ -6,11 +6,18 @@
 
 const fs = require('fs');
 const path = require('path');
-const { fetchAPI } = require('./scraper.js');
+const { fetchAPI, getKeyPool } = require('./api.js');
+const { flattenComments } = require('./threads.js');
+const { writeFileAtomic } = require('./lock.js');
 
 const DATA_DIR = path.join(__dirname, 'data');
 const ALERTS_STATE_FILE = path.join(DATA_DIR, 'alerts-state.json');
 
+// Alert checks draw from the shared API budget ahead of bulk scraping
+function alertFetch(endpoint, params = {}) {
+  return fetchAPI(endpoint, params, { priority: 'alert' });
+}
+
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
@@ -34,7 +41,7 @@ class AlertTracker {
 
   saveState() {
     try {
-      fs.writeFileSync(ALERTS_STATE_FILE, JSON.stringify(this.state, null, 2));
+      writeFileAtomic(ALERTS_STATE_FILE, JSON.stringify(this.state, null, 2));
     } catch (error) {
       console.error('Failed to save alerts state:', error.message);
     }
@@ -66,15 +73,21 @@ class AlertTracker {
   }
 }
 
+// Agent names come from the command line: match them literally. No g flag,
+// which would make test() carry lastIndex over from one post to the next.
+function mentionPattern(agentName) {
+  return new RegExp(`@${agentName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+}
+
 async function checkMentions(agentName, sinceTimestamp = 0) {
   console.log(`Checking for @${agentName} mentions...`);
   
   const mentions = [];
-  const mentionPattern = new RegExp(`@${agentName}\\b`, 'gi');
+  const pattern = mentionPattern(agentName);
   
   try {
     // Search recent posts
-    const postsData = await fetchAPI('/posts', { limit: 100 });
+    const postsData = await alertFetch('/posts', { limit: 100 });
     const posts = postsData.posts || [];
     
     for (const post of posts) {
@@ -84,7 +97,7 @@ async function checkMentions(agentName, sinceTimestamp = 0) {
       if (createdAt <= sinceTimestamp) continue;
       
       // Check title for mentions
-      if (mentionPattern.test(post.title)) {
+      if (pattern.test(post.title)) {
         mentions.push({
           type: 'post_title',
           post: {
@@ -117,10 +130,10 @@ async function checkMentions(agentName, sinceTimestamp = 0) {
 
 async function checkPostComments(post, agentName, sinceTimestamp, mentions) {
   try {
-    const commentsData = await fetchAPI(`/posts/${post.id}/comments`);
+    const commentsData = await alertFetch(`/posts/${post.id}/comments`);
     const comments = commentsData.comments || [];
     
-    const mentionPattern = new RegExp(`@${agentName}\\b`, 'gi');
+    const pattern = mentionPattern(agentName);
     
     for (const comment of comments) {
       const createdAt = new Date(comment.created).getTime();
@@ -128,7 +141,7 @@ async function checkPostComments(post, agentName, sinceTimestamp, mentions) {
       // Skip if older than our last check
       if (createdAt <= sinceTimestamp) continue;
       
-      if (mentionPattern.test(comment.content)) {
+      if (pattern.test(comment.content)) {
         mentions.push({
           type: 'comment_mention',
           post: {
@@ -161,7 +174,7 @@ async function checkReplies(agentName, sinceTimestamp = 0) {
   
   try {
     // Get recent posts by the agent
-    const postsData = await fetchAPI('/posts', { limit: 100 });
+    const postsData = await alertFetch('/posts', { limit: 100 });
     const posts = postsData.posts || [];
     const agentPosts = posts.filter(post => post.author === agentName);
     
@@ -188,7 +201,7 @@ async function checkReplies(agentName, sinceTimestamp = 0) {
 
 async function checkPostReplies(post, agentName, sinceTimestamp, replies) {
   try {
-    const commentsData = await fetchAPI(`/posts/${post.id}/comments`);
+    const commentsData = await alertFetch(`/posts/${post.id}/comments`);
     const comments = commentsData.comments || [];
     
     for (const comment of comments) {
@@ -227,26 +240,25 @@ async function checkCommentReplies(agentName, sinceTimestamp, replies) {
   
   try {
     // Get recent posts to scan for agent's comments
-    const postsData = await fetchAPI('/posts', { limit: 50 });
+    const postsData = await alertFetch('/posts', { limit: 50 });
     const posts = postsData.posts || [];
     
     for (const post of posts) {
       if (post.comments > 0) {
-        const commentsData = await fetchAPI(`/posts/${post.id}/comments`);
-        const comments = commentsData.comments || [];
+        const commentsData = await alertFetch(`/posts/${post.id}/comments`);
+        const comments = flattenComments(commentsData.comments);
         
         // Find agent's comments in this post
-        const agentComments = comments.filter(c => c.author === agentName);
+        const agentCommentIds = new Set(comments.filter(c => c.author === agentName).map(c => c.id));
         
-        // Look for replies to those comments (comments that reference them)
+        // Look for replies to those comments (direct children or @mentions)
         for (const comment of comments) {
           const createdAt = new Date(comment.created).getTime();
           
           if (createdAt <= sinceTimestamp || comment.author === agentName) continue;
           
-          // Simple heuristic: if comment mentions agent or appears to be a reply
           if (comment.content.includes(`@${agentName}`) || 
-              (agentComments.length > 0 && comment.parent_id)) {
+              agentCommentIds.has(comment.parent_id)) {
             
             replies.push({
               type: 'comment_reply',
@@ -295,6 +307,13 @@ Examples:
   const command = args[0];
   const agentName = args[1];
   
+  try {
+    getKeyPool();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  
   const tracker = new AlertTracker();
   
   console.log(`\n=== MoltWatch Alerts: ${command} for ${agentName} ===\n`);
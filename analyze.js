@@ -6,20 +6,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getLatestSnapshot } = require('./repository.js');
 
 const DATA_DIR = path.join(__dirname, 'data');
 
-function loadLatestSnapshot() {
-  const latestPath = path.join(DATA_DIR, 'latest.json');
-  if (!fs.existsSync(latestPath)) {
-    throw new Error('No snapshot data found. Run scraper first.');
-  }
-  
-  const latest = JSON.parse(fs.readFileSync(latestPath, 'utf-8'));
-  const snapshotPath = path.join(DATA_DIR, latest.file);
-  return JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
-}
-
 function generateReport(snapshot) {
   const { timestamp, stats, submolts, posts } = snapshot;
   
@@ -94,7 +84,7 @@ ${activeSubmolts.map(([name, count]) => `- **m/${name}**: ${count} posts`).join(
 // Run if called directly
 if (require.main === module) {
   try {
-    const snapshot = loadLatestSnapshot();
+    const snapshot = getLatestSnapshot();
     const report = generateReport(snapshot);
     console.log(report);
     
@@ -108,4 +98,4 @@ if (require.main === module) {
   }
 }
 
-module.exports = { loadLatestSnapshot, generateReport };
+module.exports = { generateReport };
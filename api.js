@@ -0,0 +1,359 @@
+/**
+ * Moltbook API client
+ * Retries transient failures with backoff and tracks request stats per scrape
+ * (kept apart per priority, so alert checks don't mix into a scrape's):
+ * counts, status codes, latency percentiles and bytes per endpoint. The same
+ * measurements feed the process-wide metrics served at GET /metrics.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadApiKeys, KeyPool, redact } = require('./credentials.js');
+const { RequestBudget } = require('./budget.js');
+const metrics = require('./metrics.js');
+
+// Point at a mock server (see mockapi.js) with MOLTBOOK_API_BASE=http://localhost:4010/api/v1
+const API_BASE = process.env.MOLTBOOK_API_BASE || 'https://www.moltbook.com/api/v1';
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.REQUEST_TIMEOUT_MS) || 30000;
+const MAX_ATTEMPTS = parseInt(process.env.REQUEST_MAX_ATTEMPTS) || 5;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// Retries allowed per endpoint over one scrape. Once spent, failures on that
+// endpoint are returned immediately so a flapping endpoint can't stall a run.
+const RETRY_BUDGETS = {
+  '/submolts': 20,
+  '/posts': 50,
+  '/posts/:id/comments': 200,
+  '/agents/profile': 100,
+};
+const DEFAULT_RETRY_BUDGET = 50;
+
+// Record mode: every successful response is saved as a fixture for replay by mockapi.js
+const RECORD = process.env.MOLTBOOK_RECORD === '1';
+const FIXTURES_DIR = process.env.MOLTBOOK_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+const RECORDED_DIR = path.join(FIXTURES_DIR, 'recorded');
+
+class APIError extends Error {
+  constructor(message, { status = null, endpoint, retryable = false } = {}) {
+    super(redact(message));
+    this.name = 'APIError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.retryable = retryable;
+  }
+}
+
+// ============ CREDENTIALS ============
+
+let keyPool = null;
+
+/**
+ * The API key pool, loaded from the environment or secrets file on first use.
+ * Throws a CredentialsError when no key is configured.
+ */
+function getKeyPool() {
+  if (!keyPool) keyPool = new KeyPool(loadApiKeys());
+  return keyPool;
+}
+
+// ============ BUDGET ============
+
+let budget = null;
+
+/**
+ * The request budget every fetchAPI call in this process draws from
+ * (API_BUDGET_PER_MINUTE, API_BUDGET_PER_HOUR)
+ */
+function getBudget() {
+  if (!budget) budget = new RequestBudget();
+  return budget;
+}
+
+// ============ REQUEST STATS ============
+
+const apiRequests = metrics.counter(
+  'moltwatch_api_requests_total', 'Moltbook API requests by endpoint, status code (or timeout/error) and priority',
+  ['endpoint', 'status', 'priority']);
+const apiDuration = metrics.histogram(
+  'moltwatch_api_request_duration_seconds', 'Moltbook API request latency', ['endpoint'],
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+const apiBytes = metrics.counter(
+  'moltwatch_api_response_bytes_total', 'Moltbook API response body bytes received', ['endpoint']);
+const apiRetries = metrics.counter(
+  'moltwatch_api_retries_total', 'Moltbook API requests retried', ['endpoint']);
+const apiFailures = metrics.counter(
+  'moltwatch_api_failures_total', 'Moltbook API requests given up on after retries', ['endpoint']);
+const budgetWait = metrics.counter(
+  'moltwatch_api_budget_wait_seconds_total', 'Time requests spent waiting on the API budget', ['priority']);
+
+// Stats windows are kept per priority, so alert checks running alongside a
+// scrape neither show up in its stats nor spend its retry budgets
+const windows = new Map(); // priority → { stats, latencies }
+
+function newWindow() {
+  return {
+    stats: newStats(),
+    latencies: new Map(), // endpoint key → latencies (ms) of every attempt since the last reset
+  };
+}
+
+function windowFor(priority) {
+  if (!windows.has(priority)) windows.set(priority, newWindow());
+  return windows.get(priority);
+}
+
+function newStats() {
+  return {
+    startedAt: new Date().toISOString(),
+    requests: 0,
+    retries: 0,
+    failures: 0,      // requests that still failed after retries (data was lost)
+    clientErrors: 0,  // non-retryable 4xx responses, e.g. missing profiles
+    bytes: 0,
+    byEndpoint: {},
+  };
+}
+
+function endpointStats({ stats }, key) {
+  if (!stats.byEndpoint[key]) {
+    stats.byEndpoint[key] = {
+      requests: 0,
+      retries: 0,
+      failures: 0,
+      clientErrors: 0,
+      retryBudget: RETRY_BUDGETS[key] ?? DEFAULT_RETRY_BUDGET,
+      statusCodes: {},
+      bytes: 0,
+    };
+  }
+  return stats.byEndpoint[key];
+}
+
+/**
+ * Start a fresh stats window for a priority (called at the start of each scrape)
+ */
+function resetRequestStats(priority = 'scrape') {
+  windows.set(priority, newWindow());
+}
+
+/**
+ * Record one HTTP attempt: status is the response status, or 'timeout' or
+ * 'error' when there was no response
+ */
+function recordAttempt(priority, key, status, durationMs, bytes) {
+  const window = windowFor(priority);
+  const epStats = endpointStats(window, key);
+  epStats.statusCodes[status] = (epStats.statusCodes[status] || 0) + 1;
+  epStats.bytes += bytes;
+  window.stats.bytes += bytes;
+  if (!window.latencies.has(key)) window.latencies.set(key, []);
+  window.latencies.get(key).push(durationMs);
+
+  apiRequests.inc({ endpoint: key, status, priority });
+  apiDuration.observe({ endpoint: key }, durationMs / 1000);
+  apiBytes.inc({ endpoint: key }, bytes);
+}
+
+/**
+ * Summary of a priority's requests since its last reset. complete is false
+ * when any request was given up on, meaning the scrape is missing data.
+ */
+function getRequestStats(priority = 'scrape') {
+  const { stats, latencies } = windowFor(priority);
+  const byEndpoint = {};
+  for (const [key, epStats] of Object.entries(stats.byEndpoint)) {
+    byEndpoint[key] = {
+      ...epStats,
+      statusCodes: { ...epStats.statusCodes },
+      latencyMs: metrics.percentiles(latencies.get(key) || []),
+    };
+  }
+  return {
+    ...stats,
+    byEndpoint,
+    complete: stats.failures === 0,
+  };
+}
+
+// ============ HELPERS ============
+
+/**
+ * Collapse IDs out of a path so retry budgets and stats group by endpoint
+ */
+function endpointKey(endpoint) {
+  return endpoint
+    .split('/')
+    .map(seg => /^[0-9a-f-]{8,}$/i.test(seg) || /^\d+$/.test(seg) ? ':id' : seg)
+    .join('/');
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Fixture filename for a request: path plus sorted query, e.g.
+ * /posts?sort=new&limit=50 -> posts__limit=50_sort=new.json
+ */
+function fixtureName(endpoint, params = {}) {
+  const query = Object.keys(params)
+    .sort()
+    .map(k => `${k}=${params[k]}`)
+    .join('_');
+  const name = endpoint.replace(/^\/+/, '').replace(/\//g, '_') + (query ? `__${query}` : '');
+  return `${name.replace(/[^\w=.-]/g, '_')}.json`;
+}
+
+function recordFixture(endpoint, params, data) {
+  try {
+    fs.mkdirSync(RECORDED_DIR, { recursive: true });
+    fs.writeFileSync(path.join(RECORDED_DIR, fixtureName(endpoint, params)), JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.warn(`Failed to record fixture for ${endpoint}:`, error.message);
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============ FETCH ============
+
+async function attemptFetch(url, endpoint, apiKey, priority) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const started = Date.now();
+  let status = 'error';
+  let bytes = 0;
+
+  try {
+    const res = await fetch(url, {
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      signal: controller.signal,
+    });
+
+    if (!res.ok) {
+      const body = await res.text().catch(() => '');
+      status = res.status;
+      bytes = Buffer.byteLength(body);
+      const error = new APIError(`API error ${res.status}: ${body}`, {
+        status: res.status,
+        endpoint,
+        retryable: isRetryableStatus(res.status),
+      });
+      error.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+      throw error;
+    }
+
+    const body = await res.text();
+    status = res.status;
+    bytes = Buffer.byteLength(body);
+    return JSON.parse(body);
+  } catch (e) {
+    if (e instanceof APIError) throw e;
+    if (e.name === 'AbortError') status = 'timeout';
+    // Network failures and timeouts are always worth another try
+    const message = e.name === 'AbortError'
+      ? `Request timed out after ${REQUEST_TIMEOUT_MS}ms`
+      : `Network error: ${e.cause?.message || e.message}`;
+    throw new APIError(message, { endpoint, retryable: true });
+  } finally {
+    clearTimeout(timer);
+    recordAttempt(priority, endpointKey(endpoint), status, Date.now() - started, bytes);
+  }
+}
+
+/**
+ * GET an API endpoint. Every attempt, retries included, draws one request
+ * from the budget at `priority` ('alert' or 'scrape') and, when a limiter
+ * (anything with an async take(), like pool.js's TokenBucket) is given, waits
+ * for one of its tokens.
+ */
+async function fetchAPI(endpoint, params = {}, { priority = 'scrape', limiter = null } = {}) {
+  const url = new URL(`${API_BASE}${endpoint}`);
+  Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, String(v)));
+
+  const key = endpointKey(endpoint);
+  const pool = getKeyPool();
+
+  for (let attempt = 0; ; attempt++) {
+    if (limiter) await limiter.take();
+    const waitedMs = await getBudget().acquire(priority);
+    if (waitedMs > 0) budgetWait.inc({ priority }, waitedMs / 1000);
+    // Looked up per attempt: a reset mid-request starts counting in the new window
+    const window = windowFor(priority);
+    const { stats } = window;
+    const epStats = endpointStats(window, key);
+    stats.requests++;
+    epStats.requests++;
+    const apiKey = pool.acquire();
+
+    try {
+      const data = await attemptFetch(url.toString(), endpoint, apiKey, priority);
+      if (RECORD) recordFixture(endpoint, params, data);
+      return data;
+    } catch (e) {
+      if (e.status === 429) pool.markRateLimited(apiKey, e.retryAfterMs);
+      const canRetry = e.retryable && attempt + 1 < MAX_ATTEMPTS && epStats.retries < epStats.retryBudget;
+
+      if (!canRetry) {
+        if (e.retryable) {
+          stats.failures++;
+          epStats.failures++;
+          apiFailures.inc({ endpoint: key });
+        } else {
+          stats.clientErrors++;
+          epStats.clientErrors++;
+        }
+        throw e;
+      }
+
+      // A rate limit on one key doesn't hold up the retry when another key is free
+      const delay = e.status === 429 && pool.available() > 0 ? 0
+        : e.retryAfterMs != null ? Math.min(e.retryAfterMs, MAX_RETRY_AFTER_MS)
+        : backoffDelay(attempt);
+      stats.retries++;
+      epStats.retries++;
+      apiRetries.inc({ endpoint: key });
+      console.warn(`  ↻ ${e.status || e.message} on ${endpoint}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 2}/${MAX_ATTEMPTS})`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  fetchAPI,
+  getKeyPool,
+  getBudget,
+  APIError,
+  resetRequestStats,
+  getRequestStats,
+  endpointKey,
+  parseRetryAfter,
+  fixtureName,
+  API_BASE,
+  FIXTURES_DIR,
+};
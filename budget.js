@@ -0,0 +1,305 @@
+/**
+ * Moltbook API Request Budget
+ * One budget of requests per minute and per hour that every API caller draws
+ * from: the server, `node scraper.js` and `node alerts.js` alike. Grants are
+ * counted in data/api-budget.json, updated under a short lock file the way
+ * lock.js does it, so separate processes share the budget.
+ *
+ * Callers wait in priority classes: alert checks are served before bulk
+ * scraping, in this process and in any other (a scrape holds back while
+ * another process has alert checks waiting), and scraping may only use part
+ * of each window so alerts never wait behind a scrape that has used it all.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withLock, isLive, writeFileAtomic } = require('./lock.js');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const BUDGET_FILE = path.join(DATA_DIR, 'api-budget.json');
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const HOUR_MS = 60 * MINUTE_MS;
+// A process's waiting callers count for others until it stops refreshing them
+const WAITER_TTL_MS = 30 * SECOND_MS;
+const POLL_MS = 250;
+
+// Served in this order; a class only gets a request once every class before it has none waiting
+const PRIORITIES = ['alert', 'scrape'];
+
+// Share of each window held back from scraping for alert checks, 0-1
+function parseReserve(value, fallback = 0.1) {
+  if (value === undefined) return fallback;
+  const reserve = parseFloat(value);
+  if (!Number.isFinite(reserve) || reserve < 0 || reserve > 1) {
+    console.warn(`⚠️  Ignoring API_BUDGET_ALERT_RESERVE="${value}" (expected 0-1), using ${fallback}`);
+    return fallback;
+  }
+  return reserve;
+}
+
+const DEFAULT_LIMITS = {
+  perMinute: parseInt(process.env.API_BUDGET_PER_MINUTE) || 600,
+  perHour: parseInt(process.env.API_BUDGET_PER_HOUR) || 24000,
+  alertReserve: parseReserve(process.env.API_BUDGET_ALERT_RESERVE),
+};
+
+const PROCESS_ID = `${os.hostname()}:${process.pid}`;
+
+// ============ GRANT WINDOWS ============
+
+// Grants are counted in per-second buckets for the minute window and
+// per-minute buckets for the hour window, which keeps the shared file small.
+// A bucket counts until its whole span has left the window.
+const WINDOWS = {
+  minute: { buckets: 'seconds', size: SECOND_MS, span: MINUTE_MS },
+  hour: { buckets: 'minutes', size: MINUTE_MS, span: HOUR_MS },
+};
+
+function emptyState() {
+  return { seconds: {}, minutes: {}, waiting: {} };
+}
+
+function bucketExpiry(bucket, { size, span }) {
+  return (Number(bucket) + 1) * size + span;
+}
+
+function pruneState(state, now) {
+  for (const window of Object.values(WINDOWS)) {
+    const buckets = state[window.buckets];
+    for (const bucket of Object.keys(buckets)) {
+      if (bucketExpiry(bucket, window) <= now) delete buckets[bucket];
+    }
+  }
+  for (const [id, waiter] of Object.entries(state.waiting)) {
+    const [host, pid] = [id.slice(0, id.lastIndexOf(':')), parseInt(id.slice(id.lastIndexOf(':') + 1))];
+    if (waiter.updatedAt < now - WAITER_TTL_MS || !isLive(host, pid)) delete state.waiting[id];
+  }
+}
+
+function used(state, window) {
+  return Object.values(state[WINDOWS[window].buckets]).reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * How long until one more request fits under `limit` in `window`
+ */
+function waitInWindow(state, window, limit, now) {
+  let excess = used(state, window) - limit + 1;
+  if (excess <= 0) return 0;
+
+  const { buckets } = WINDOWS[window];
+  for (const bucket of Object.keys(state[buckets]).map(Number).sort((a, b) => a - b)) {
+    excess -= state[buckets][bucket];
+    if (excess <= 0) return bucketExpiry(bucket, WINDOWS[window]) - now;
+  }
+  return WINDOWS[window].span;
+}
+
+function recordGrant(state, now) {
+  for (const { buckets, size } of Object.values(WINDOWS)) {
+    const bucket = Math.floor(now / size);
+    state[buckets][bucket] = (state[buckets][bucket] || 0) + 1;
+  }
+}
+
+// ============ BUDGET ============
+
+class RequestBudget {
+  /**
+   * file is where grants are shared between processes; null keeps the
+   * budget to this process
+   */
+  constructor({ perMinute, perHour, alertReserve } = DEFAULT_LIMITS, { file = BUDGET_FILE } = {}) {
+    this.perMinute = perMinute;
+    this.perHour = perHour;
+    this.alertReserve = Number.isFinite(alertReserve) ? Math.min(Math.max(alertReserve, 0), 1) : 0.1;
+    this.file = file;
+    this.memory = emptyState(); // used without a file, or when it can't be written
+    this.queues = Object.fromEntries(PRIORITIES.map(p => [p, []]));
+    this.usage = Object.fromEntries(PRIORITIES.map(p => [p, { requests: 0, waited: 0, waitMs: 0 }]));
+    this.timer = null;
+    this.draining = null; // the drain in progress
+    this.drainAgain = false; // set when callers queue during a drain
+    this.sharing = Boolean(file); // false while the file can't be used
+  }
+
+  /**
+   * Requests `priority` may make per window
+   */
+  limits(priority) {
+    const share = priority === 'alert' ? 1 : 1 - this.alertReserve;
+    return {
+      minute: Math.max(1, Math.floor(this.perMinute * share)),
+      hour: Math.max(1, Math.floor(this.perHour * share)),
+    };
+  }
+
+  /**
+   * How long until `priority` may make a request given the budget state,
+   * 0 if it may now
+   */
+  waitFor(state, priority, now = Date.now()) {
+    const limits = this.limits(priority);
+    return Math.max(
+      waitInWindow(state, 'minute', limits.minute, now),
+      waitInWindow(state, 'hour', limits.hour, now),
+    );
+  }
+
+  readState() {
+    try {
+      const state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return { ...emptyState(), ...state };
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn('Failed to read API budget, starting over:', error.message);
+      return emptyState();
+    }
+  }
+
+  /**
+   * Run fn(state, now) on the shared budget state and save it. Falls back to
+   * this process's own state, with a warning, when the file can't be used.
+   */
+  async update(fn) {
+    if (this.file) {
+      try {
+        return await withLock(`${this.file}.lock`, `api budget ${PROCESS_ID}`, () => {
+          const now = Date.now();
+          const state = this.readState();
+          pruneState(state, now);
+          const result = fn(state, now);
+          writeFileAtomic(this.file, JSON.stringify(state));
+          this.sharing = true;
+          return result;
+        });
+      } catch (error) {
+        if (this.sharing) {
+          console.warn(`⚠️  Can't share the API budget through ${this.file}, budgeting this process alone: ${error.message}`);
+          this.sharing = false;
+        }
+      }
+    }
+    const now = Date.now();
+    pruneState(this.memory, now);
+    return fn(this.memory, now);
+  }
+
+  /**
+   * Resolves once a request of `priority` fits the budget, with how long it
+   * waited. Each resolved call counts as one request.
+   */
+  acquire(priority = 'scrape') {
+    if (!this.queues[priority]) throw new Error(`Unknown API priority: ${priority}`);
+    return new Promise(resolve => {
+      this.queues[priority].push({ resolve, queuedAt: Date.now() });
+      this.drain();
+    });
+  }
+
+  /**
+   * Grant what the budget allows to queued callers. Callers that queue while
+   * a drain waits on the budget file are served by one more drain after it,
+   * so a burst of requests takes the lock once rather than once each.
+   */
+  drain() {
+    if (this.draining) {
+      this.drainAgain = true;
+      return this.draining;
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.draining = this.drainOnce().finally(() => {
+      this.draining = null;
+      if (this.drainAgain) {
+        this.drainAgain = false;
+        this.drain();
+      }
+    });
+    return this.draining;
+  }
+
+  async drainOnce() {
+    const retryIn = await this.update((state, now) => {
+      let wait = null;
+      for (;;) {
+        const priority = PRIORITIES.find(p => this.queues[p].length > 0);
+        if (!priority) break;
+
+        // Another process's alert checks go ahead of this one's scraping
+        const ahead = PRIORITIES.slice(0, PRIORITIES.indexOf(priority));
+        if (Object.entries(state.waiting).some(([id, w]) => id !== PROCESS_ID && ahead.some(p => w[p] > 0))) {
+          wait = POLL_MS;
+          break;
+        }
+
+        // Lower classes have stricter limits, so nothing gets past a waiting head
+        wait = this.waitFor(state, priority, now);
+        if (wait > 0) break;
+        wait = null;
+
+        const { resolve, queuedAt } = this.queues[priority].shift();
+        const usage = this.usage[priority];
+        recordGrant(state, now);
+        usage.requests++;
+        if (now > queuedAt) {
+          usage.waited++;
+          usage.waitMs += now - queuedAt;
+        }
+        resolve(now - queuedAt);
+      }
+
+      // Let other processes see what's waiting here
+      const queued = Object.fromEntries(PRIORITIES.map(p => [p, this.queues[p].length]));
+      if (Object.values(queued).some(n => n > 0)) {
+        state.waiting[PROCESS_ID] = { ...queued, updatedAt: now };
+      } else {
+        delete state.waiting[PROCESS_ID];
+      }
+      return wait;
+    });
+
+    // Wake up often enough to keep this process's waiting entry fresh
+    if (retryIn !== null) {
+      this.timer = setTimeout(() => this.drain(), Math.min(retryIn, WAITER_TTL_MS / 3));
+    }
+  }
+
+  /**
+   * Budget state for status endpoints: usage across every process sharing
+   * the budget, and this process's own requests and queues
+   */
+  describe() {
+    const now = Date.now();
+    const state = this.file ? this.readState() : this.memory;
+    pruneState(state, now);
+    const usedLastMinute = used(state, 'minute');
+    const usedLastHour = used(state, 'hour');
+    return {
+      shared: this.sharing,
+      perMinute: this.perMinute,
+      perHour: this.perHour,
+      alertReserve: this.alertReserve,
+      usedLastMinute,
+      usedLastHour,
+      remainingMinute: Math.max(0, this.perMinute - usedLastMinute),
+      remainingHour: Math.max(0, this.perHour - usedLastHour),
+      waitingProcesses: Object.keys(state.waiting).length,
+      byPriority: Object.fromEntries(PRIORITIES.map(p => [p, {
+        ...this.usage[p],
+        queued: this.queues[p].length,
+        limits: this.limits(p),
+      }])),
+    };
+  }
+}
+
+module.exports = {
+  RequestBudget,
+  PRIORITIES,
+  DEFAULT_LIMITS,
+  BUDGET_FILE,
+};
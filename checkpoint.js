@@ -0,0 +1,121 @@
+/**
+ * Full Scrape Checkpoints
+ * Persists per-phase progress to data/ so an interrupted full scrape can resume.
+ * The work file holds everything scraped so far; a small header next to it
+ * (scrape-work.meta.json) describes it for status endpoints without parsing it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./lock.js');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const WORK_FILE = path.join(DATA_DIR, 'scrape-work.json');
+const META_FILE = path.join(DATA_DIR, 'scrape-work.meta.json');
+const MAX_AGE_MS = (parseInt(process.env.CHECKPOINT_MAX_AGE_HOURS) || 48) * 60 * 60 * 1000;
+
+const PHASES = ['submolts', 'posts', 'comments', 'profiles'];
+
+/**
+ * Fresh work state for a full scrape starting at `timestamp`
+ */
+function newCheckpoint(timestamp) {
+  return {
+    timestamp,
+    updatedAt: timestamp,
+    phase: 'submolts',
+    submolts: { items: [], done: false },
+    posts: { items: [], nextOffset: 0, done: false },
+    comments: { byPost: {}, checked: [], done: false },
+    profiles: { byName: {}, done: false },
+  };
+}
+
+/**
+ * Load the in-progress checkpoint, if any. Checkpoints older than
+ * CHECKPOINT_MAX_AGE_HOURS are discarded: resuming from them would produce
+ * a snapshot stitched together from very different points in time.
+ */
+function loadCheckpoint() {
+  if (!fs.existsSync(WORK_FILE)) return null;
+
+  try {
+    const work = JSON.parse(fs.readFileSync(WORK_FILE, 'utf8'));
+    if (isStale(work.updatedAt)) {
+      console.log(`  Discarding stale checkpoint from ${work.updatedAt}`);
+      clearCheckpoint();
+      return null;
+    }
+    return work;
+  } catch (error) {
+    console.warn('Failed to load scrape checkpoint:', error.message);
+    return null;
+  }
+}
+
+function isStale(updatedAt) {
+  return Date.now() - new Date(updatedAt).getTime() > MAX_AGE_MS;
+}
+
+/**
+ * Save the work state, then its header. Both are replaced atomically, so a
+ * crash mid-save leaves the previous checkpoint intact.
+ */
+function saveCheckpoint(work) {
+  work.updatedAt = new Date().toISOString();
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(WORK_FILE, JSON.stringify(work));
+    writeFileAtomic(META_FILE, JSON.stringify({
+      startedAt: work.timestamp,
+      updatedAt: work.updatedAt,
+      phase: work.phase,
+      posts: work.posts.items.length,
+      commentsChecked: work.comments.checked.length,
+      profiles: Object.keys(work.profiles.byName).length,
+    }, null, 2));
+  } catch (error) {
+    console.error('Failed to save scrape checkpoint:', error.message);
+  }
+}
+
+/**
+ * Mark a phase finished and move the checkpoint on to the next one
+ */
+function completePhase(work, phase) {
+  work[phase].done = true;
+  work.phase = PHASES[PHASES.indexOf(phase) + 1] || 'done';
+  saveCheckpoint(work);
+}
+
+function clearCheckpoint() {
+  for (const file of [WORK_FILE, META_FILE]) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+}
+
+/**
+ * The pending checkpoint's header for status endpoints, or null when there's
+ * none to resume. Reads only the header and never discards anything.
+ */
+function describeCheckpoint() {
+  if (!fs.existsSync(WORK_FILE)) return null;
+  try {
+    const meta = JSON.parse(fs.readFileSync(META_FILE, 'utf8'));
+    return isStale(meta.updatedAt) ? null : meta;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn('Failed to read scrape checkpoint header:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  newCheckpoint,
+  loadCheckpoint,
+  saveCheckpoint,
+  completePhase,
+  clearCheckpoint,
+  describeCheckpoint,
+  WORK_FILE,
+  META_FILE,
+};
@@ -1,22 +1,15 @@
 #!/usr/bin/env node
 
-const fs = require('fs');
-const path = require('path');
+const { loadOrBuildGraph } = require('./graph.js');
 
 /**
  * Submolt Clustering System for MoltWatch
  * Analyzes agent overlap between submolts to find related communities
  */
 
-// Load graph data
+// Load graph data (shared, cached copy — don't modify)
 function loadGraph() {
-    const graphPath = path.join(__dirname, 'data', 'graph.json');
-    if (!fs.existsSync(graphPath)) {
-        throw new Error('graph.json not found in data/ directory');
-    }
-    
-    const data = JSON.parse(fs.readFileSync(graphPath, 'utf8'));
-    return data;
+    return loadOrBuildGraph();
 }
 
 /**
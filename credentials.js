@@ -0,0 +1,156 @@
+/**
+ * Moltbook API Credentials
+ * Loads API keys from the environment or a secrets file (never from code),
+ * rotates between them when one gets rate limited, and redacts them from
+ * anything that gets logged or returned by the API.
+ *
+ * Keys come from, in order:
+ *   MOLTBOOK_API_KEYS     comma-separated pool of keys
+ *   MOLTBOOK_API_KEY      a single key
+ *   MOLTBOOK_SECRETS_FILE JSON file with { "apiKeys": [...] } or { "apiKey": "..." }
+ *                         (default config/secrets.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SECRETS_FILE = process.env.MOLTBOOK_SECRETS_FILE || path.join(__dirname, 'config', 'secrets.json');
+const DEFAULT_COOLDOWN_MS = parseInt(process.env.API_KEY_COOLDOWN_MS) || 60000;
+
+// Anything shaped like a Moltbook key, configured or not
+const KEY_PATTERN = /moltbook_sk_[A-Za-z0-9_-]+/g;
+
+class CredentialsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredentialsError';
+  }
+}
+
+// ============ LOADING ============
+
+const splitKeys = value => String(value).split(',').map(k => k.trim()).filter(Boolean);
+
+function readSecretsFile(file) {
+  let secrets;
+  try {
+    secrets = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new CredentialsError(`Can't read secrets file ${file}: ${error.message}`);
+  }
+  const keys = Array.isArray(secrets.apiKeys) ? secrets.apiKeys : secrets.apiKey ? [secrets.apiKey] : [];
+  return keys.map(k => String(k).trim()).filter(Boolean);
+}
+
+/**
+ * The configured API keys, deduplicated. Throws CredentialsError, with what
+ * to set, when there are none.
+ */
+function loadApiKeys(env = process.env) {
+  let keys = [];
+  if (env.MOLTBOOK_API_KEYS) {
+    keys = splitKeys(env.MOLTBOOK_API_KEYS);
+  } else if (env.MOLTBOOK_API_KEY) {
+    keys = splitKeys(env.MOLTBOOK_API_KEY);
+  } else if (env.MOLTBOOK_SECRETS_FILE || fs.existsSync(SECRETS_FILE)) {
+    keys = readSecretsFile(env.MOLTBOOK_SECRETS_FILE || SECRETS_FILE);
+  }
+
+  if (keys.length === 0) {
+    throw new CredentialsError(
+      'No Moltbook API key configured. Set MOLTBOOK_API_KEY (or MOLTBOOK_API_KEYS=key1,key2 ' +
+      `for a pool), or put {"apiKeys": ["..."]} in ${SECRETS_FILE} (path set by MOLTBOOK_SECRETS_FILE).`
+    );
+  }
+  return Array.from(new Set(keys));
+}
+
+// ============ REDACTION ============
+
+let knownKeys = [];
+
+/**
+ * Short, non-secret label for a key: its last 4 characters
+ */
+function maskKey(key) {
+  return `…${String(key).slice(-4)}`;
+}
+
+/**
+ * Replace API keys in a string with their masked form. Non-strings pass through.
+ */
+function redact(value) {
+  if (typeof value !== 'string') return value;
+  let text = value;
+  for (const key of knownKeys) text = text.split(key).join(maskKey(key));
+  return text.replace(KEY_PATTERN, maskKey);
+}
+
+// ============ KEY POOL ============
+
+/**
+ * Round-robin over API keys, skipping keys that are cooling down after a
+ * rate limit. When every key is cooling down, the one free soonest is used.
+ */
+class KeyPool {
+  constructor(keys) {
+    this.keys = keys.map(key => ({ key, cooldownUntil: 0, requests: 0, rateLimited: 0 }));
+    this.next = 0;
+    knownKeys = Array.from(new Set([...knownKeys, ...keys]));
+  }
+
+  acquire() {
+    const now = Date.now();
+    for (let i = 0; i < this.keys.length; i++) {
+      const entry = this.keys[(this.next + i) % this.keys.length];
+      if (entry.cooldownUntil <= now) {
+        this.next = (this.keys.indexOf(entry) + 1) % this.keys.length;
+        entry.requests++;
+        return entry.key;
+      }
+    }
+    const soonest = this.keys.reduce((a, b) => (b.cooldownUntil < a.cooldownUntil ? b : a));
+    soonest.requests++;
+    return soonest.key;
+  }
+
+  /**
+   * Rest a key after a 429, for Retry-After if the API sent one
+   */
+  markRateLimited(key, retryAfterMs = null) {
+    const entry = this.keys.find(e => e.key === key);
+    if (!entry) return;
+    entry.rateLimited++;
+    entry.cooldownUntil = Date.now() + (retryAfterMs ?? DEFAULT_COOLDOWN_MS);
+    if (this.keys.length > 1) {
+      console.warn(`  🔑 Key ${maskKey(key)} rate limited, rotating (${this.available()}/${this.keys.length} keys available)`);
+    }
+  }
+
+  available() {
+    const now = Date.now();
+    return this.keys.filter(e => e.cooldownUntil <= now).length;
+  }
+
+  /**
+   * Redacted key states for status endpoints
+   */
+  describe() {
+    const now = Date.now();
+    return this.keys.map(e => ({
+      key: maskKey(e.key),
+      requests: e.requests,
+      rateLimited: e.rateLimited,
+      coolingDownUntil: e.cooldownUntil > now ? new Date(e.cooldownUntil).toISOString() : null,
+    }));
+  }
+}
+
+module.exports = {
+  loadApiKeys,
+  KeyPool,
+  CredentialsError,
+  redact,
+  maskKey,
+  SECRETS_FILE,
+};
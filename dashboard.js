@@ -4,10 +4,7 @@
  * Generates comprehensive agent profiles from MoltWatch data
  */
 
-const fs = require('fs');
-const path = require('path');
-
-const DATA_DIR = path.join(__dirname, 'data');
+const { getLatestSnapshot } = require('./repository.js');
 
 // Common stop words for topic analysis
 const STOP_WORDS = new Set([
@@ -23,31 +20,6 @@ const STOP_WORDS = new Set([
   'so', 'if', 'because', 'as', 'until', 'while', 'during', 'through'
 ]);
 
-/**
- * Load the latest snapshot data
- */
-function loadLatestSnapshot() {
-  const latestPath = path.join(DATA_DIR, 'latest.json');
-  if (!fs.existsSync(latestPath)) {
-    throw new Error('No snapshot data found. Run scraper first.');
-  }
-  
-  const latest = JSON.parse(fs.readFileSync(latestPath, 'utf-8'));
-  const snapshotPath = path.join(DATA_DIR, latest.file);
-  return JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
-}
-
-/**
- * Load the graph data
- */
-function loadGraph() {
-  const graphPath = path.join(DATA_DIR, 'graph.json');
-  if (!fs.existsSync(graphPath)) {
-    return null; // Graph is optional
-  }
-  return JSON.parse(fs.readFileSync(graphPath, 'utf-8'));
-}
-
 /**
  * Extract @mentions from text
  */
@@ -93,8 +65,7 @@ function timeAgo(timestamp) {
  * Generate comprehensive agent dashboard
  */
 function getAgentDashboard(agentName) {
-  const snapshot = loadLatestSnapshot();
-  const graph = loadGraph();
+  const snapshot = getLatestSnapshot();
   
   // Find agent (case-insensitive)
   const targetName = agentName.toLowerCase();
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * MoltWatch Post Engagement History
+ * Samples upvotes and comment counts per post at each scrape. Posts not
+ * sampled for ENGAGEMENT_HISTORY_DAYS are dropped, so the file stops growing
+ * once old posts fall out of the scrapes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./lock.js');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const HISTORY_FILE = path.join(DATA_DIR, 'engagement-history.json');
+const MAX_SAMPLES_PER_POST = 500;
+const HISTORY_DAYS = parseInt(process.env.ENGAGEMENT_HISTORY_DAYS) || 30;
+
+// Parsed history, reused while the file's mtime and size are unchanged
+let cache = null;
+
+function emptyHistory() {
+  return { updatedAt: null, posts: {} };
+}
+
+/**
+ * The history file, parsed. Reads are served from the cache unless the file
+ * changed (the scraper CLI writes it too); pass fresh for a copy to modify.
+ */
+function loadHistory({ fresh = false } = {}) {
+  let stat;
+  try {
+    stat = fs.statSync(HISTORY_FILE);
+  } catch {
+    return emptyHistory();
+  }
+  if (!fresh && cache?.mtimeMs === stat.mtimeMs && cache.size === stat.size) return cache.history;
+
+  try {
+    const history = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+    if (!fresh) cache = { mtimeMs: stat.mtimeMs, size: stat.size, history };
+    return history;
+  } catch (error) {
+    console.warn('Failed to load engagement history:', error.message);
+    return emptyHistory();
+  }
+}
+
+function saveHistory(history) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(HISTORY_FILE, JSON.stringify(history));
+    const { mtimeMs, size } = fs.statSync(HISTORY_FILE);
+    cache = { mtimeMs, size, history };
+  } catch (error) {
+    console.error('Failed to save engagement history:', error.message);
+  }
+}
+
+/**
+ * Drop posts last sampled more than HISTORY_DAYS before `timestamp`.
+ * Returns how many were dropped.
+ */
+function pruneHistory(history, timestamp, days = HISTORY_DAYS) {
+  const cutoff = new Date(timestamp).getTime() - days * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+  for (const [id, entry] of Object.entries(history.posts)) {
+    if (new Date(entry.lastSampledAt).getTime() < cutoff) {
+      delete history.posts[id];
+      pruned++;
+    }
+  }
+  return pruned;
+}
+
+/**
+ * Append a sample for each post fetched in this scrape. Only pass posts whose
+ * counts are fresh: re-sampling merged-in stale posts would fake a flat line.
+ * A sample equal to the previous one is skipped; lastSampledAt still moves,
+ * so the series shows how long the values held.
+ */
+function recordEngagement(posts, timestamp) {
+  const history = loadHistory({ fresh: true });
+  let added = 0;
+
+  for (const post of posts) {
+    if (!post.id) continue;
+
+    const entry = history.posts[post.id] || (history.posts[post.id] = {
+      created: post.created,
+      firstCommentAt: null,
+      lastSampledAt: null,
+      samples: [],
+    });
+
+    const earliestComment = (post.comments || [])
+      .map(c => c.created)
+      .filter(Boolean)
+      .sort()[0];
+    if (earliestComment && (!entry.firstCommentAt || earliestComment < entry.firstCommentAt)) {
+      entry.firstCommentAt = earliestComment;
+    }
+
+    const sample = { t: timestamp, upvotes: post.upvotes ?? null, comment_count: post.comment_count ?? null };
+    const last = entry.samples[entry.samples.length - 1];
+    entry.lastSampledAt = timestamp;
+    if (last && last.upvotes === sample.upvotes && last.comment_count === sample.comment_count) continue;
+
+    entry.samples.push(sample);
+    if (entry.samples.length > MAX_SAMPLES_PER_POST) entry.samples.shift();
+    added++;
+  }
+
+  const postsPruned = pruneHistory(history, timestamp);
+  history.updatedAt = timestamp;
+  saveHistory(history);
+  return { postsSampled: posts.length, samplesAdded: added, postsPruned };
+}
+
+function minutesBetween(from, to) {
+  if (!from || !to) return null;
+  return Math.round((new Date(to) - new Date(from)) / 60000);
+}
+
+/**
+ * Derived metrics for a post's engagement series
+ */
+function computeEngagementMetrics(entry) {
+  const samples = entry.samples;
+  if (samples.length === 0) return null;
+
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+
+  // Peak = first sample reaching the highest upvote count
+  const peak = samples.reduce((best, s) => (s.upvotes ?? -1) > (best.upvotes ?? -1) ? s : best, first);
+
+  // Exact when we captured the comment itself; otherwise the first sample
+  // showing a comment bounds it from above
+  let timeToFirstComment = minutesBetween(entry.created, entry.firstCommentAt);
+  let firstCommentEstimated = false;
+  if (timeToFirstComment === null) {
+    const firstWithComment = samples.find(s => s.comment_count > 0);
+    if (firstWithComment) {
+      timeToFirstComment = minutesBetween(entry.created, firstWithComment.t);
+      firstCommentEstimated = true;
+    }
+  }
+
+  const spanHours = (new Date(last.t) - new Date(first.t)) / (60 * 60 * 1000);
+  const upvoteVelocity = spanHours > 0 && last.upvotes != null && first.upvotes != null
+    ? Math.round(((last.upvotes - first.upvotes) / spanHours) * 100) / 100
+    : null;
+
+  return {
+    currentUpvotes: last.upvotes,
+    currentComments: last.comment_count,
+    peakUpvotes: peak.upvotes,
+    timeToPeakMinutes: minutesBetween(entry.created, peak.t),
+    timeToFirstCommentMinutes: timeToFirstComment,
+    firstCommentEstimated,
+    upvotesPerHour: upvoteVelocity,
+  };
+}
+
+/**
+ * Engagement history and derived metrics for one post
+ */
+function getPostHistory(postId) {
+  const entry = loadHistory().posts[postId];
+  if (!entry) return null;
+
+  return {
+    id: postId,
+    created: entry.created,
+    firstCommentAt: entry.firstCommentAt,
+    lastSampledAt: entry.lastSampledAt,
+    sampleCount: entry.samples.length,
+    samples: entry.samples,
+    metrics: computeEngagementMetrics(entry),
+  };
+}
+
+// ============ CLI ============
+
+if (require.main === module) {
+  const postId = process.argv[2];
+  if (!postId) {
+    console.log('Usage: node engagement.js <postId>');
+    process.exit(1);
+  }
+
+  const history = getPostHistory(postId);
+  console.log(history ? JSON.stringify(history, null, 2) : `No engagement history for post "${postId}"`);
+}
+
+module.exports = { recordEngagement, getPostHistory, computeEngagementMetrics, pruneHistory };
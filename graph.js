@@ -6,6 +6,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getLatestSnapshot, cached } = require('./repository.js');
+const { writeFileAtomic } = require('./lock.js');
 
 const DATA_DIR = path.join(__dirname, 'data');
 
@@ -23,20 +25,6 @@ const STOP_WORDS = new Set([
   'so', 'if', 'because', 'as', 'until', 'while', 'during', 'through'
 ]);
 
-/**
- * Load the latest snapshot data
- */
-function loadLatestSnapshot() {
-  const latestPath = path.join(DATA_DIR, 'latest.json');
-  if (!fs.existsSync(latestPath)) {
-    throw new Error('No snapshot data found. Run scraper first.');
-  }
-  
-  const latest = JSON.parse(fs.readFileSync(latestPath, 'utf-8'));
-  const snapshotPath = path.join(DATA_DIR, latest.file);
-  return JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
-}
-
 /**
  * Extract @mentions from text
  */
@@ -47,22 +35,39 @@ function extractMentions(text) {
 }
 
 /**
- * Extract topics (keywords) from title
+ * Extract topics (keywords) from text
  * Simple approach: words 4+ chars, not stop words, alphanumeric
  */
-function extractTopics(title) {
-  if (!title) return [];
+function extractTopics(text) {
+  return [...new Set(topicWords(text))];
+}
+
+function topicWords(text) {
+  if (!text) return [];
   
   // Normalize: lowercase, remove special chars except spaces
-  const normalized = title.toLowerCase().replace(/[^a-z0-9\s]/g, ' ');
-  const words = normalized.split(/\s+/).filter(w => 
+  const normalized = text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ');
+  return normalized.split(/\s+/).filter(w => 
     w.length >= 4 && 
     !STOP_WORDS.has(w) &&
     !/^\d+$/.test(w) // Exclude pure numbers
   );
-  
-  // Return unique topics
-  return [...new Set(words)];
+}
+
+/**
+ * Extract topics from a post body: only words repeated in the body, most
+ * frequent first, so long posts don't flood the graph with one-off words
+ */
+function extractBodyTopics(body, limit = 5) {
+  const counts = new Map();
+  for (const word of topicWords(body)) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return Array.from(counts.entries())
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([word]) => word);
 }
 
 /**
@@ -82,7 +87,7 @@ function buildGraph(snapshot) {
   
   // Process submolts from top-level array if present
   for (const submolt of snapshot.submolts || []) {
-    const name = (typeof submolt === 'object' ? submolt.name : submolt)?.toLowerCase();
+    const name = submolt.name?.toLowerCase();
     if (name) {
       nodes.submolts.set(name, {
         name,
@@ -95,16 +100,15 @@ function buildGraph(snapshot) {
   
   // Process posts
   for (const post of snapshot.posts || []) {
-    const authorName = (typeof post.author === 'object' ? post.author?.name : post.author)?.toLowerCase();
-    const submoltObj = typeof post.submolt === 'object' ? post.submolt : null;
-    const submoltName = (submoltObj?.name || (typeof post.submolt === 'string' ? post.submolt : null))?.toLowerCase();
+    const authorName = post.author?.toLowerCase();
+    const submoltName = post.submolt?.toLowerCase();
     
     // Create submolt node from post data if not already present
     if (submoltName && !nodes.submolts.has(submoltName)) {
       nodes.submolts.set(submoltName, {
         name: submoltName,
-        display_name: submoltObj?.display_name || submoltName,
-        subscribers: submoltObj?.subscribers || 0,
+        display_name: submoltName,
+        subscribers: 0,
         agents: new Set()
       });
     }
@@ -140,8 +144,8 @@ function buildGraph(snapshot) {
       }
     }
     
-    // Extract and process mentions
-    const mentions = extractMentions(post.title);
+    // Extract and process mentions (title and body, when the snapshot has one)
+    const mentions = [...new Set([...extractMentions(post.title), ...extractMentions(post.content)])];
     for (const mentioned of mentions) {
       edges.mentioned.push({
         fromAgent: authorName,
@@ -161,7 +165,7 @@ function buildGraph(snapshot) {
     }
     
     // Extract and process topics
-    const topics = extractTopics(post.title);
+    const topics = [...new Set([...extractTopics(post.title), ...extractBodyTopics(post.content)])];
     for (const topic of topics) {
       if (!nodes.topics.has(topic)) {
         nodes.topics.set(topic, {
@@ -213,9 +217,14 @@ function graphToJSON(graph) {
 }
 
 /**
- * Load graph from JSON file or build fresh
+ * Load graph from JSON file or build fresh. Kept in memory until the latest
+ * snapshot changes.
  */
 function loadOrBuildGraph() {
+  return cached('graph', readOrBuildGraph);
+}
+
+function readOrBuildGraph() {
   const graphPath = path.join(DATA_DIR, 'graph.json');
   const latestPath = path.join(DATA_DIR, 'latest.json');
   
@@ -230,12 +239,12 @@ function loadOrBuildGraph() {
   }
   
   // Build fresh graph
-  const snapshot = loadLatestSnapshot();
+  const snapshot = getLatestSnapshot();
   const graph = buildGraph(snapshot);
   const graphJSON = graphToJSON(graph);
   
   // Save it
-  fs.writeFileSync(graphPath, JSON.stringify(graphJSON, null, 2));
+  writeFileAtomic(graphPath, JSON.stringify(graphJSON, null, 2));
   
   return graphJSON;
 }
@@ -385,7 +394,7 @@ function getMostConnectedAgents(limit = 20) {
 function getTrendingTopics(limit = 20) {
   const graph = loadOrBuildGraph();
   
-  return graph.nodes.topics
+  return [...graph.nodes.topics]
     .sort((a, b) => b.count - a.count)
     .slice(0, limit)
     .map(t => ({
@@ -415,10 +424,10 @@ if (require.main === module) {
   switch (command) {
     case 'build':
       console.log('Building graph from latest snapshot...');
-      const snapshot = loadLatestSnapshot();
+      const snapshot = getLatestSnapshot();
       const graph = buildGraph(snapshot);
       const graphJSON = graphToJSON(graph);
-      fs.writeFileSync(path.join(DATA_DIR, 'graph.json'), JSON.stringify(graphJSON, null, 2));
+      writeFileAtomic(path.join(DATA_DIR, 'graph.json'), JSON.stringify(graphJSON, null, 2));
       console.log('Graph saved to data/graph.json');
       console.log('Stats:', graphJSON.stats);
       break;
@@ -4,38 +4,7 @@
  * Analyzes posting patterns and identifies optimal posting times
  */
 
-const fs = require('fs');
-const path = require('path');
-
-const DATA_DIR = path.join(__dirname, 'data');
-
-function loadLatestSnapshot() {
-  const latestPath = path.join(DATA_DIR, 'latest.json');
-  if (!fs.existsSync(latestPath)) {
-    throw new Error('No snapshot data found. Run scraper first.');
-  }
-  
-  const latest = JSON.parse(fs.readFileSync(latestPath, 'utf-8'));
-  const snapshotPath = path.join(DATA_DIR, latest.file);
-  return JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
-}
-
-function loadAllSnapshots() {
-  const snapshots = [];
-  const files = fs.readdirSync(DATA_DIR).filter(f => f.startsWith('snapshot-') && f.endsWith('.json'));
-  
-  for (const file of files.sort()) {
-    const filePath = path.join(DATA_DIR, file);
-    try {
-      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-      snapshots.push(data);
-    } catch (e) {
-      console.warn(`Warning: Failed to load ${file}`);
-    }
-  }
-  
-  return snapshots;
-}
+const { getPosts, getPostsScope, getSnapshotCount } = require('./repository.js');
 
 /**
  * Get activity heatmap for a specific submolt
@@ -43,7 +12,7 @@ function loadAllSnapshots() {
  * @returns {Object} Hourly breakdown and peak activity window
  */
 function getActivityHeatmap(submoltName) {
-  const snapshots = loadAllSnapshots();
+  const posts = getPosts({ submolt: submoltName });
   const hourlyActivity = {};
   const dayOfWeekActivity = {};
   
@@ -59,19 +28,15 @@ function getActivityHeatmap(submoltName) {
   
   let totalPosts = 0;
   
-  for (const snapshot of snapshots) {
-    const posts = snapshot.posts || [];
-    
-    for (const post of posts) {
-      if (post.submolt === submoltName && post.created) {
-        const date = new Date(post.created);
-        const hour = date.getUTCHours();
-        const dayOfWeek = date.getUTCDay();
-        
-        hourlyActivity[hour.toString()]++;
-        dayOfWeekActivity[dayOfWeek]++;
-        totalPosts++;
-      }
+  for (const post of posts) {
+    if (post.created) {
+      const date = new Date(post.created);
+      const hour = date.getUTCHours();
+      const dayOfWeek = date.getUTCDay();
+      
+      hourlyActivity[hour.toString()]++;
+      dayOfWeekActivity[dayOfWeek]++;
+      totalPosts++;
     }
   }
   
@@ -84,7 +49,8 @@ function getActivityHeatmap(submoltName) {
     hourlyBreakdown: hourlyActivity,
     dayOfWeekBreakdown: dayOfWeekActivity,
     peakActivity: peakInfo,
-    dataPoints: snapshots.length
+    dataPoints: getSnapshotCount(),
+    postsScope: getPostsScope()
   };
 }
 
@@ -93,7 +59,7 @@ function getActivityHeatmap(submoltName) {
  * @returns {Object} Platform-wide activity patterns
  */
 function getGlobalHeatmap() {
-  const snapshots = loadAllSnapshots();
+  const posts = getPosts();
   const hourlyActivity = {};
   const dayOfWeekActivity = {};
   const submoltCounts = {};
@@ -109,23 +75,19 @@ function getGlobalHeatmap() {
   
   let totalPosts = 0;
   
-  for (const snapshot of snapshots) {
-    const posts = snapshot.posts || [];
-    
-    for (const post of posts) {
-      if (post.created) {
-        const date = new Date(post.created);
-        const hour = date.getUTCHours();
-        const dayOfWeek = date.getUTCDay();
-        
-        hourlyActivity[hour.toString()]++;
-        dayOfWeekActivity[dayOfWeek]++;
-        
-        const submolt = post.submolt || 'unknown';
-        submoltCounts[submolt] = (submoltCounts[submolt] || 0) + 1;
-        
-        totalPosts++;
-      }
+  for (const post of posts) {
+    if (post.created) {
+      const date = new Date(post.created);
+      const hour = date.getUTCHours();
+      const dayOfWeek = date.getUTCDay();
+      
+      hourlyActivity[hour.toString()]++;
+      dayOfWeekActivity[dayOfWeek]++;
+      
+      const submolt = post.submolt || 'unknown';
+      submoltCounts[submolt] = (submoltCounts[submolt] || 0) + 1;
+      
+      totalPosts++;
     }
   }
   
@@ -137,7 +99,8 @@ function getGlobalHeatmap() {
     dayOfWeekBreakdown: dayOfWeekActivity,
     submoltDistribution: submoltCounts,
     peakActivity: peakInfo,
-    dataPoints: snapshots.length
+    dataPoints: getSnapshotCount(),
+    postsScope: getPostsScope()
   };
 }
 
@@ -213,7 +176,8 @@ function getBestTimeToPost(submoltName) {
     totalPosts: heatmap.totalPosts,
     recommendations: topHours,
     bestDay: bestDayInfo,
-    confidence: heatmap.totalPosts > 10 ? 'High' : heatmap.totalPosts > 5 ? 'Medium' : 'Low'
+    confidence: heatmap.totalPosts > 10 ? 'High' : heatmap.totalPosts > 5 ? 'Medium' : 'Low',
+    postsScope: heatmap.postsScope
   };
 }
 
@@ -224,10 +188,10 @@ function getBestTimeToPost(submoltName) {
  * @returns {Object} Daily counts and trend analysis
  */
 function getActivityTrend(submoltName, days = 7) {
-  const snapshots = loadAllSnapshots();
   const now = Date.now();
   const msPerDay = 24 * 60 * 60 * 1000;
   const cutoff = now - (days * msPerDay);
+  const posts = getPosts({ submolt: submoltName, since: new Date(cutoff) });
   
   const dailyCounts = {};
   
@@ -238,18 +202,11 @@ function getActivityTrend(submoltName, days = 7) {
     dailyCounts[dateStr] = 0;
   }
   
-  for (const snapshot of snapshots) {
-    const posts = snapshot.posts || [];
-    
-    for (const post of posts) {
-      if (post.submolt === submoltName && post.created) {
-        const postDate = new Date(post.created);
-        if (postDate.getTime() >= cutoff) {
-          const dateStr = postDate.toISOString().split('T')[0];
-          if (dailyCounts.hasOwnProperty(dateStr)) {
-            dailyCounts[dateStr]++;
-          }
-        }
+  for (const post of posts) {
+    if (post.created) {
+      const dateStr = new Date(post.created).toISOString().split('T')[0];
+      if (dailyCounts.hasOwnProperty(dateStr)) {
+        dailyCounts[dateStr]++;
       }
     }
   }
@@ -264,7 +221,8 @@ function getActivityTrend(submoltName, days = 7) {
     dailyCounts,
     totalPosts: counts.reduce((sum, count) => sum + count, 0),
     averagePerDay: Math.round((counts.reduce((sum, count) => sum + count, 0) / days) * 10) / 10,
-    trend
+    trend,
+    postsScope: getPostsScope()
   };
 }
 
@@ -312,7 +270,8 @@ function displayHeatmap(data, type = 'basic') {
     console.log(`Active submolts: ${Object.keys(data.submoltDistribution || {}).length}`);
   }
   
-  console.log(`Data points: ${data.dataPoints} snapshots\n`);
+  console.log(`Data points: ${data.dataPoints} snapshots`);
+  console.log(`Posts from: ${data.postsScope === 'all' ? 'every snapshot on record' : 'the latest snapshot'}\n`);
   
   // Display hourly breakdown
   console.log('📊 Hourly Activity (UTC):');
@@ -439,9 +398,7 @@ module.exports = {
   getActivityHeatmap,
   getGlobalHeatmap,
   getBestTimeToPost,
-  getActivityTrend,
-  loadLatestSnapshot,
-  loadAllSnapshots
+  getActivityTrend
 };
 
 // Run CLI if called directly
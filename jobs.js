@@ -0,0 +1,305 @@
+/**
+ * Scrape Job History
+ * Records each scrape run as a job: mode, start/end, phase timings, counts,
+ * per-endpoint API request stats, errors and the log lines printed while it ran. Jobs are kept in
+ * data/jobs/, one file each, so failed or slow scrapes can be looked at later.
+ * A running job's file is rewritten on each phase change and every
+ * FLUSH_LOG_LINES log lines, so a scrape that crashes or is killed still
+ * leaves its phases and logs behind.
+ * While a job runs, its phase changes and progress counts are emitted on
+ * jobEvents for live listeners (the server's SSE stream).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { EventEmitter } = require('events');
+const { redact } = require('./credentials.js');
+const { writeFileAtomic } = require('./lock.js');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+const MAX_JOBS = parseInt(process.env.SCRAPE_JOB_HISTORY) || 100;
+const MAX_LOG_LINES = parseInt(process.env.SCRAPE_JOB_LOG_LINES) || 2000;
+const MAX_ERRORS = 50;
+const PROGRESS_EVENT_MS = 1000; // progress events are throttled to one per interval
+const FLUSH_LOG_LINES = 100; // a running job is saved after this many new log lines
+
+const LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+let current = null;  // the running job, at most one at a time
+let restoreConsole = null;
+let progressTimer = null;
+let lastProgressEvent = 0;
+let unsavedLines = 0; // log lines captured since the running job was last saved
+
+// Emits 'event' with { type: started|phase|progress|finished, job, ... }
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// ============ LOG CAPTURE ============
+
+function appendLog(job, level, args) {
+  const message = redact(util.format(...args));
+  if (level === 'warn') job.warnings++;
+  if (level === 'error' && job.errors.length < MAX_ERRORS) job.errors.push(message.trim());
+
+  if (job.logs.length >= MAX_LOG_LINES) {
+    job.droppedLogLines++;
+    return;
+  }
+  job.logs.push({ time: new Date().toISOString(), level, message });
+  if (job === current && ++unsavedLines >= FLUSH_LOG_LINES) saveJob(job);
+}
+
+/**
+ * Tee console output into the job while it runs. Everything the process logs
+ * in that time is captured, not only the scraper's own lines.
+ */
+function captureConsole(job) {
+  const originals = {};
+  for (const [method, level] of Object.entries(LEVELS)) {
+    originals[method] = console[method];
+    console[method] = (...args) => {
+      appendLog(job, level, args);
+      originals[method](...args);
+    };
+  }
+  return () => Object.assign(console, originals);
+}
+
+// ============ PERSISTENCE ============
+
+function jobFile(id) {
+  return path.join(JOBS_DIR, `${id}.json`);
+}
+
+function saveJob(job) {
+  // Reset first: a failure to save is logged, which mustn't trigger another save
+  if (job === current) unsavedLines = 0;
+  try {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    writeFileAtomic(jobFile(job.id), JSON.stringify(job, null, 2));
+  } catch (error) {
+    console.error(`Failed to save scrape job ${job.id}:`, error.message);
+  }
+}
+
+function listJobFiles() {
+  if (!fs.existsSync(JOBS_DIR)) return [];
+  return fs.readdirSync(JOBS_DIR).filter(f => f.endsWith('.json')).sort();
+}
+
+function pruneJobs() {
+  const files = listJobFiles();
+  for (const file of files.slice(0, Math.max(0, files.length - MAX_JOBS))) {
+    try {
+      fs.unlinkSync(path.join(JOBS_DIR, file));
+    } catch (error) {
+      console.warn(`Failed to delete old scrape job ${file}:`, error.message);
+    }
+  }
+}
+
+// A job left "running" on disk by a process that died never finished
+function withLiveStatus(job) {
+  if (job.status === 'running' && job.id !== current?.id) {
+    return { ...job, status: 'interrupted' };
+  }
+  return job;
+}
+
+// ============ EVENTS ============
+
+function currentPhase(job) {
+  return job.phases[job.phases.length - 1]?.name || null;
+}
+
+function emit(type, job, extra = {}) {
+  jobEvents.emit('event', {
+    type,
+    job: job.id,
+    mode: job.mode,
+    status: job.status,
+    phase: currentPhase(job),
+    progress: job.progress,
+    ...extra,
+  });
+}
+
+function emitProgress() {
+  clearTimeout(progressTimer);
+  progressTimer = null;
+  lastProgressEvent = Date.now();
+  if (current) emit('progress', current);
+}
+
+/**
+ * Merge counts into the running job's progress, e.g. { postsPaged: 250 }.
+ * A no-op when no job is running.
+ */
+function reportProgress(counts) {
+  if (!current) return;
+  Object.assign(current.progress, counts);
+
+  const wait = lastProgressEvent + PROGRESS_EVENT_MS - Date.now();
+  if (wait <= 0) {
+    emitProgress();
+  } else if (!progressTimer) {
+    progressTimer = setTimeout(emitProgress, wait);
+    progressTimer.unref();
+  }
+}
+
+// ============ JOBS ============
+
+/**
+ * Start recording a scrape. Throws if another job is still running.
+ */
+function startJob(mode, params = {}) {
+  if (current) throw new Error(`Scrape job ${current.id} is still running`);
+
+  const startedAt = new Date();
+  const job = {
+    id: startedAt.toISOString().replace(/[:.]/g, '-'),
+    mode,
+    params,
+    status: 'running',
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    phases: [],
+    progress: {},
+    counts: null,
+    requests: null,
+    error: null,
+    errors: [],
+    warnings: 0,
+    logs: [],
+    droppedLogLines: 0,
+  };
+
+  current = job;
+  unsavedLines = 0;
+  restoreConsole = captureConsole(job);
+  saveJob(job);
+  emit('started', job, { params, startedAt: job.startedAt });
+  return job;
+}
+
+function endPhase(job, at) {
+  const phase = job.phases[job.phases.length - 1];
+  if (phase && phase.durationMs === null) {
+    phase.durationMs = at - new Date(phase.startedAt);
+  }
+}
+
+/**
+ * Mark the start of a phase of the running job (ending the previous one).
+ * A no-op when no job is running, e.g. for scrapes run from the CLI.
+ */
+function startPhase(name) {
+  if (!current) return;
+  const now = new Date();
+  endPhase(current, now);
+  current.phases.push({ name, startedAt: now.toISOString(), durationMs: null });
+  saveJob(current);
+  emit('phase', current);
+}
+
+/**
+ * Finish the running job. status is 'ok' or 'error'; counts come from the
+ * snapshot's stats, requests from the API client's request stats.
+ */
+function finishJob(job, { status = 'ok', counts = null, requests = null, error = null } = {}) {
+  const now = new Date();
+  endPhase(job, now);
+  job.status = status;
+  job.finishedAt = now.toISOString();
+  job.durationMs = now - new Date(job.startedAt);
+  job.counts = counts;
+  job.requests = requests;
+  job.error = redact(error);
+
+  if (current === job) {
+    restoreConsole();
+    restoreConsole = null;
+    clearTimeout(progressTimer);
+    progressTimer = null;
+    current = null;
+  }
+  saveJob(job);
+  pruneJobs();
+  emit('finished', job, {
+    finishedAt: job.finishedAt,
+    durationMs: job.durationMs,
+    counts: job.counts,
+    error: job.error,
+  });
+  return job;
+}
+
+function getCurrentJob() {
+  return current;
+}
+
+/**
+ * What a listener joining mid-run needs: the running job's state, or null
+ */
+function describeCurrentJob() {
+  if (!current) return null;
+  return {
+    job: current.id,
+    mode: current.mode,
+    status: current.status,
+    phase: currentPhase(current),
+    progress: current.progress,
+    startedAt: current.startedAt,
+  };
+}
+
+/**
+ * A job with its logs, or null
+ */
+function getJob(id) {
+  if (current?.id === id) return current;
+  if (!/^[\w-]+$/.test(id) || !fs.existsSync(jobFile(id))) return null;
+
+  try {
+    return withLiveStatus(JSON.parse(fs.readFileSync(jobFile(id), 'utf8')));
+  } catch (error) {
+    console.warn(`Failed to load scrape job ${id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Jobs without their logs, newest first
+ */
+function listJobs({ mode = null, status = null, limit = null } = {}) {
+  const jobs = [];
+  for (const file of listJobFiles().reverse()) {
+    const job = getJob(file.replace(/\.json$/, ''));
+    if (!job) continue;
+    if (mode && job.mode !== mode) continue;
+    if (status && job.status !== status) continue;
+
+    const { logs, ...summary } = job;
+    jobs.push({ ...summary, logLines: logs.length + job.droppedLogLines });
+    if (limit && jobs.length >= limit) break;
+  }
+  return jobs;
+}
+
+module.exports = {
+  startJob,
+  startPhase,
+  reportProgress,
+  finishJob,
+  getCurrentJob,
+  describeCurrentJob,
+  getJob,
+  listJobs,
+  jobEvents,
+  JOBS_DIR,
+};
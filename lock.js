@@ -0,0 +1,288 @@
+/**
+ * Scrape Lock and Atomic Writes
+ * Keeps data/ consistent when the server and CLI tools share it:
+ *   - a lease lock file (data/scrape.lock) taken for the length of a scrape,
+ *     so a hand-run `node scraper.js` and the server's scheduler never
+ *     scrape at the same time. The holder renews the lease while it runs;
+ *     a lock whose lease ran out, or whose process is gone, is taken over.
+ *   - the same lease locks on other files, held briefly, for state several
+ *     processes update (the shared API budget)
+ *   - writeFileAtomic, which writes to a temp file and renames it into
+ *     place, so readers never see a half-written snapshot or latest.json.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const LOCK_FILE = path.join(DATA_DIR, 'scrape.lock');
+const LEASE_MS = parseInt(process.env.SCRAPE_LOCK_LEASE_MS) || 10 * 60 * 1000;
+
+class LockHeldError extends Error {
+  constructor(file, holder, message = `${path.basename(file)} is held by ${describeHolder(holder)}`) {
+    super(message);
+    this.name = 'LockHeldError';
+    this.file = file;
+    this.holder = holder;
+  }
+}
+
+class ScrapeLockedError extends LockHeldError {
+  constructor(holder) {
+    super(LOCK_FILE, holder, `Another scrape is running (${describeHolder(holder)})`);
+    this.name = 'ScrapeLockedError';
+  }
+}
+
+const held = new Set(); // locks this process holds, released on exit
+
+// ============ ATOMIC WRITES ============
+
+/**
+ * Write a file by writing a temp file next to it and renaming it over the
+ * target, which replaces it in one step
+ */
+function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+  } catch (error) {
+    try {
+      fs.unlinkSync(tmp);
+    } catch {}
+    throw error;
+  }
+}
+
+// ============ LOCK FILE ============
+
+function describeHolder(holder) {
+  if (!holder?.owner) return 'unknown holder';
+  return `${holder.owner}, pid ${holder.pid} on ${holder.host}, since ${holder.acquiredAt}`;
+}
+
+function readHolder(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    // Missing, or caught between create and write: treated as held but unreadable
+    return error.code === 'ENOENT' ? null : {};
+  }
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Whether a process is still running. Only checkable on this host; processes
+ * elsewhere count as alive.
+ */
+function isLive(host, pid) {
+  return host !== os.hostname() || processAlive(pid);
+}
+
+/**
+ * Why a lock can be taken over, or null while it's live. A process on another
+ * host can't be checked, so only an expired lease frees its lock.
+ */
+function staleReason(file, holder, leaseMs, now = Date.now()) {
+  if (!holder) return null;
+  if (!holder.token) {
+    try {
+      return now - fs.statSync(file).mtimeMs > leaseMs ? 'lock file unreadable' : null;
+    } catch {
+      return null;
+    }
+  }
+  if (new Date(holder.expiresAt).getTime() < now) return `lease expired ${holder.expiresAt}`;
+  if (!isLive(holder.host, holder.pid)) return `pid ${holder.pid} is gone`;
+  return null;
+}
+
+/**
+ * Remove a stale lock, unless another process replaced it with a live one
+ * in the meantime. Renaming is atomic, so only one process can take over.
+ */
+function breakStaleLock(file, holder) {
+  const aside = `${file}.${process.pid}.stale`;
+  try {
+    fs.renameSync(file, aside);
+  } catch {
+    return; // already gone
+  }
+
+  let moved = null;
+  try {
+    moved = JSON.parse(fs.readFileSync(aside, 'utf8'));
+  } catch {}
+  if (moved?.token !== holder.token) {
+    // Someone else's fresh lock: put it back
+    try {
+      fs.linkSync(aside, file);
+    } catch {}
+  }
+  fs.unlinkSync(aside);
+}
+
+function writeHolder(file, holder, flag) {
+  fs.writeFileSync(file, JSON.stringify(holder, null, 2), { flag });
+}
+
+/**
+ * Take the lock file `file` for `owner`, or throw LockHeldError with the
+ * current holder. Returns the lock; call release() when done. A renewed lock
+ * extends its lease every leaseMs / 3 until released.
+ */
+function acquireLock(file, owner, { leaseMs = LEASE_MS, renew = true } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const now = new Date();
+  const holder = {
+    owner,
+    pid: process.pid,
+    host: os.hostname(),
+    token: crypto.randomUUID(),
+    acquiredAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + leaseMs).toISOString(),
+  };
+  const name = path.basename(file);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      writeHolder(file, holder, 'wx');
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const current = readHolder(file);
+    const reason = staleReason(file, current, leaseMs);
+    if (!reason || attempt > 0) throw new LockHeldError(file, current);
+    console.warn(`⚠️  Taking over stale ${name} (${describeHolder(current)}): ${reason}`);
+    breakStaleLock(file, current);
+  }
+
+  const lock = {
+    holder,
+    renew() {
+      const current = readHolder(file);
+      if (current?.token !== holder.token) {
+        console.warn(`⚠️  ${name} was taken over (${describeHolder(current)})`);
+        clearInterval(timer);
+        return false;
+      }
+      holder.expiresAt = new Date(Date.now() + leaseMs).toISOString();
+      try {
+        writeFileAtomic(file, JSON.stringify(holder, null, 2));
+      } catch (error) {
+        console.warn(`Failed to renew ${name}:`, error.message);
+      }
+      return true;
+    },
+    release() {
+      clearInterval(timer);
+      if (!held.delete(lock)) return;
+      if (readHolder(file)?.token !== holder.token) return;
+      try {
+        fs.unlinkSync(file);
+      } catch (error) {
+        console.warn(`Failed to release ${name}:`, error.message);
+      }
+    },
+  };
+
+  const timer = renew ? setInterval(() => lock.renew(), leaseMs / 3) : null;
+  timer?.unref();
+  held.add(lock);
+  return lock;
+}
+
+/**
+ * Take the scrape lock for `owner` (e.g. 'server full scrape'), or throw
+ * ScrapeLockedError with the current holder
+ */
+function acquireScrapeLock(owner) {
+  try {
+    return acquireLock(LOCK_FILE, owner);
+  } catch (error) {
+    if (error instanceof LockHeldError) throw new ScrapeLockedError(error.holder);
+    throw error;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run fn while holding the lock file `file`, waiting up to waitMs for another
+ * process to let go of it. The wait doesn't block the event loop. For short
+ * read-modify-write sections: the lease isn't renewed, so fn must finish
+ * well within leaseMs.
+ */
+async function withLock(file, owner, fn, { leaseMs = 5000, waitMs = 2000 } = {}) {
+  const deadline = Date.now() + waitMs;
+  let lock;
+  for (;;) {
+    try {
+      lock = acquireLock(file, owner, { leaseMs, renew: false });
+      break;
+    } catch (error) {
+      if (!(error instanceof LockHeldError) || Date.now() >= deadline) throw error;
+      await sleep(5);
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    lock.release();
+  }
+}
+
+/**
+ * Run fn while holding the scrape lock
+ */
+async function withScrapeLock(owner, fn) {
+  const lock = acquireScrapeLock(owner);
+  try {
+    return await fn();
+  } finally {
+    lock.release();
+  }
+}
+
+/**
+ * The live holder of the scrape lock, or null when nobody holds it
+ */
+function describeScrapeLock() {
+  const holder = readHolder(LOCK_FILE);
+  if (!holder || staleReason(LOCK_FILE, holder, LEASE_MS)) return null;
+  const { token, ...info } = holder;
+  return info;
+}
+
+// A process exiting mid-scrape shouldn't leave its lock for the lease to expire
+process.on('exit', () => {
+  for (const lock of held) lock.release();
+});
+
+module.exports = {
+  acquireScrapeLock,
+  withScrapeLock,
+  describeScrapeLock,
+  acquireLock,
+  withLock,
+  isLive,
+  writeFileAtomic,
+  LockHeldError,
+  ScrapeLockedError,
+  LOCK_FILE,
+};
@@ -0,0 +1,152 @@
+/**
+ * Process Metrics
+ * Counters and histograms kept in memory for the life of the process and
+ * rendered in the Prometheus text exposition format for GET /metrics.
+ * Labels are kept to a handful of values (endpoints, routes, status codes)
+ * so the number of series stays small.
+ */
+
+// Latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = new Map(); // name → metric
+
+// ============ HELPERS ============
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+/**
+ * Nearest-rank percentiles of a list of numbers, e.g. { p50, p90, p99, max }.
+ * All null for an empty list.
+ */
+function percentiles(values, ranks = [50, 90, 99]) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const result = {};
+  for (const rank of ranks) {
+    result[`p${rank}`] = sorted.length ? sorted[Math.max(0, Math.ceil((rank / 100) * sorted.length) - 1)] : null;
+  }
+  result.max = sorted.length ? sorted[sorted.length - 1] : null;
+  return result;
+}
+
+// ============ METRICS ============
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.labelNames = labelNames;
+    this.series = new Map(); // key → { labels, value }
+  }
+
+  inc(labels = {}, amount = 1) {
+    const key = seriesKey(this.labelNames, labels);
+    if (!this.series.has(key)) this.series.set(key, { labels: pickLabels(this.labelNames, labels), value: 0 });
+    this.series.get(key).value += amount;
+  }
+
+  render() {
+    return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.labelNames = labelNames;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map(); // key → { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = seriesKey(this.labelNames, labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        labels: pickLabels(this.labelNames, labels),
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      });
+    }
+    const series = this.series.get(key);
+    const bucket = this.buckets.findIndex(le => value <= le);
+    if (bucket !== -1) series.counts[bucket]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [];
+    for (const s of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((le, i) => {
+        cumulative += s.counts[i];
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) return registry.get(metric.name);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * A counter, created on first use. Asking for the same name again returns
+ * the same counter.
+ */
+function counter(name, help, labelNames) {
+  return register(new Counter(name, help, labelNames));
+}
+
+/**
+ * A histogram, created on first use (buckets in the unit observed)
+ */
+function histogram(name, help, labelNames, buckets) {
+  return register(new Histogram(name, help, labelNames, buckets));
+}
+
+/**
+ * Every metric in the Prometheus text format (version 0.0.4)
+ */
+function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  counter,
+  histogram,
+  renderMetrics,
+  percentiles,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+};
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Mock Moltbook API
+ * Serves /submolts, /posts, /posts/:id/comments and /agents/profile from fixture files
+ *
+ * Responses recorded with MOLTBOOK_RECORD=1 (fixtures/recorded/) are replayed
+ * verbatim; anything else is synthesized from the collection fixtures:
+ *   submolts.json  array of submolts
+ *   posts.json     array of posts
+ *   comments.json  { postId: [comments] }
+ *   agents.json    { name: profile }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { fixtureName, FIXTURES_DIR } = require('./api.js');
+
+function readFixture(dir, file, fallback) {
+  const filePath = path.join(dir, file);
+  if (!fs.existsSync(filePath)) return fallback;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function paginate(items, query, defaultLimit) {
+  const limit = parseInt(query.limit) || defaultLimit;
+  const offset = parseInt(query.offset) || 0;
+  return {
+    page: items.slice(offset, offset + limit),
+    has_more: offset + limit < items.length,
+  };
+}
+
+/**
+ * Build the mock app. failRate (0-1) answers that share of requests with a
+ * 503, which is handy for exercising the scraper's retry handling.
+ * keyRateLimit answers a 429 once an API key has made that many requests in
+ * the current minute, for exercising key rotation.
+ */
+function createMockServer({ fixturesDir = FIXTURES_DIR, failRate = 0, keyRateLimit = 0 } = {}) {
+  const app = express();
+  const api = express.Router();
+
+  const submolts = readFixture(fixturesDir, 'submolts.json', []);
+  const posts = readFixture(fixturesDir, 'posts.json', []);
+  const comments = readFixture(fixturesDir, 'comments.json', {});
+  const agents = readFixture(fixturesDir, 'agents.json', {});
+  const keyWindows = new Map(); // Authorization header → { start, count }
+
+  // Injected failures first, then exact recorded responses
+  api.use((req, res, next) => {
+    if (failRate > 0 && Math.random() < failRate) {
+      return res.status(503).set('Retry-After', '1').json({ error: 'Injected failure' });
+    }
+    if (keyRateLimit > 0) {
+      const now = Date.now();
+      const auth = req.get('authorization') || '';
+      let window = keyWindows.get(auth);
+      if (!window || now - window.start >= 60000) {
+        window = { start: now, count: 0 };
+        keyWindows.set(auth, window);
+      }
+      if (++window.count > keyRateLimit) {
+        const retryAfter = Math.ceil((window.start + 60000 - now) / 1000);
+        return res.status(429).set('Retry-After', String(retryAfter)).json({ error: 'Rate limit exceeded' });
+      }
+    }
+
+    const recorded = path.join(fixturesDir, 'recorded', fixtureName(req.path, req.query));
+    if (fs.existsSync(recorded)) {
+      return res.type('json').send(fs.readFileSync(recorded, 'utf8'));
+    }
+    next();
+  });
+
+  api.get('/submolts', (req, res) => {
+    const { page, has_more } = paginate(submolts, req.query, 100);
+    res.json({ success: true, submolts: page, count: submolts.length, has_more });
+  });
+
+  api.get('/posts', (req, res) => {
+    let results = posts;
+    if (req.query.submolt) {
+      results = results.filter(p => p.submolt?.name === req.query.submolt);
+    }
+    if (req.query.sort === 'top') {
+      results = [...results].sort((a, b) => (b.upvotes || 0) - (a.upvotes || 0));
+    } else {
+      results = [...results].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    }
+    const { page, has_more } = paginate(results, req.query, 25);
+    res.json({ success: true, posts: page, count: results.length, has_more });
+  });
+
+  api.get('/posts/:id/comments', (req, res) => {
+    if (!posts.some(p => p.id === req.params.id)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    const thread = comments[req.params.id] || [];
+    const { page, has_more } = paginate(thread, req.query, 100);
+    res.json({ success: true, comments: page, count: thread.length, has_more });
+  });
+
+  api.get('/agents/profile', (req, res) => {
+    const agent = agents[req.query.name];
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json(agent);
+  });
+
+  api.use((req, res) => {
+    res.status(404).json({ error: `No mock for ${req.path}` });
+  });
+
+  app.use('/api/v1', api);
+  return app;
+}
+
+// ============ CLI ============
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (flag, fallback) => {
+    const i = args.indexOf(flag);
+    return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+  };
+
+  const port = parseInt(option('--port', process.env.MOCK_PORT)) || 4010;
+  const fixturesDir = path.resolve(option('--fixtures', FIXTURES_DIR));
+  const failRate = parseFloat(option('--fail-rate', '0')) || 0;
+  const keyRateLimit = parseInt(option('--key-rate-limit', '0')) || 0;
+
+  createMockServer({ fixturesDir, failRate, keyRateLimit }).listen(port, () => {
+    console.log(`🧪 Mock Moltbook API on http://localhost:${port}/api/v1`);
+    console.log(`   Fixtures: ${fixturesDir}${failRate ? `, failing ${Math.round(failRate * 100)}% of requests` : ''}`);
+    if (keyRateLimit) console.log(`   Rate limiting each API key to ${keyRateLimit} requests/minute`);
+    console.log(`   Run the scraper against it with MOLTBOOK_API_BASE=http://localhost:${port}/api/v1`);
+  });
+}
+
+module.exports = { createMockServer };
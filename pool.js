@@ -0,0 +1,64 @@
+/**
+ * Scraper Concurrency Helpers
+ * Bounded worker pool and a token-bucket rate limiter
+ */
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Token bucket: refills at `ratePerSec`, holds at most `capacity` tokens.
+ * take() resolves once a token is available; waiters are served in FIFO order.
+ */
+class TokenBucket {
+  constructor(ratePerSec, capacity = ratePerSec) {
+    this.rate = ratePerSec;
+    this.capacity = Math.max(1, capacity);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+    this.lastRefill = now;
+  }
+
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(((1 - this.tokens) / this.rate) * 1000);
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+/**
+ * Run `worker(item, index)` over items with at most `concurrency` in flight.
+ * Results keep input order. Workers should catch their own errors: one
+ * rejection fails the whole pool.
+ */
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+module.exports = { TokenBucket, runPool, sleep };
@@ -0,0 +1,162 @@
+/**
+ * MoltWatch Snapshot Repository
+ * The one place analytics modules and API routes read snapshot data from.
+ * The latest snapshot (from SQLite when the store is enabled, else JSON) and
+ * anything derived from it, like the knowledge graph, are kept in memory
+ * until latest.json changes, which is picked up with fs.watch. Without
+ * SQLite, per-snapshot submolt lists are kept too, until snapshot files are
+ * renamed or deleted.
+ *
+ * Cached objects are shared between callers: treat them as read-only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readLatest, loadLatestSnapshot } = require('./snapshots.js');
+const store = require('./store.js');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+const derived = new Map();   // key → value computed from the latest snapshot
+const submoltSummaries = new Map(); // file → { file, timestamp, stats, submolts }
+let watcher = null;
+
+// ============ CACHE ============
+
+/**
+ * Drop everything derived from the latest snapshot. Called on latest.json
+ * changes, and directly after a scrape in this process so the next read
+ * doesn't wait on the watcher.
+ */
+function invalidate() {
+  derived.clear();
+}
+
+function onDataChange(event, filename) {
+  if (!filename || filename === 'latest.json') invalidate();
+  // Retention and compaction rename and delete snapshot files
+  if (!filename || (filename.startsWith('snapshot-') && event === 'rename')) submoltSummaries.clear();
+}
+
+/**
+ * Start watching data/ once. Returns false when that isn't possible (no data
+ * directory yet, or fs.watch unsupported), in which case nothing is cached.
+ */
+function watchData() {
+  if (watcher) return true;
+  if (!fs.existsSync(DATA_DIR)) return false;
+
+  try {
+    watcher = fs.watch(DATA_DIR, { persistent: false }, onDataChange);
+    watcher.on('error', error => {
+      console.warn(`Warning: stopped watching ${DATA_DIR}: ${error.message}`);
+      watcher.close();
+      watcher = null;
+      invalidate();
+      submoltSummaries.clear();
+    });
+    return true;
+  } catch (error) {
+    console.warn(`Warning: can't watch ${DATA_DIR}, snapshots won't be cached: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Value derived from the latest snapshot, built on first use and kept until
+ * the latest snapshot changes
+ */
+function cached(key, build) {
+  if (derived.has(key)) return derived.get(key);
+
+  const value = build();
+  if (watchData()) derived.set(key, value);
+  return value;
+}
+
+// ============ SNAPSHOTS ============
+
+/**
+ * The latest snapshot in full
+ */
+function getLatestSnapshot() {
+  return cached('snapshot', () => {
+    const latest = readLatest();
+    if (!latest) {
+      throw new Error('No snapshot data found. Run scraper first.');
+    }
+
+    if (!store.isSqliteEnabled()) return loadLatestSnapshot();
+
+    // latest.json is written just before the SQLite import; until the import
+    // lands, serve the JSON snapshot rather than caching the previous one
+    const snapshot = store.getLatestSnapshot();
+    return snapshot.timestamp === latest.timestamp ? snapshot : loadLatestSnapshot();
+  });
+}
+
+// ============ QUERIES ============
+
+/**
+ * Submolt lists per snapshot, newest first (see store.getSubmoltSnapshots).
+ * Without SQLite, snapshots already read are served from memory, so only
+ * those taken since the last call are loaded.
+ */
+function getSubmoltSnapshots(filters = {}) {
+  if (store.isSqliteEnabled() || !watchData()) return store.getSubmoltSnapshots(filters);
+  return store.getSubmoltSnapshots(filters, submoltSummaries);
+}
+
+/**
+ * Which posts getPosts and getComments cover: 'all' (every post on record,
+ * from SQLite) or 'latest' (the latest snapshot's). Returned alongside
+ * query results so consumers can tell what their numbers are based on.
+ */
+function getPostsScope() {
+  return store.isSqliteEnabled() ? 'all' : 'latest';
+}
+
+/**
+ * Posts (without comments) matching the filters, newest first. With SQLite
+ * this covers every post on record, otherwise the latest snapshot's.
+ */
+function getPosts(filters = {}) {
+  if (store.isSqliteEnabled()) return store.getPosts(filters);
+
+  const { since = null, until = null, submolt = null, author = null, limit = null, offset = 0 } = filters;
+  const posts = getLatestSnapshot().posts
+    .filter(p => !since || new Date(p.created) >= new Date(since))
+    .filter(p => !until || new Date(p.created) < new Date(until))
+    .filter(p => !submolt || p.submolt === submolt)
+    .filter(p => !author || p.author === author)
+    .map(({ comments, commentsComplete, ...post }) => post);
+  return limit ? posts.slice(offset, offset + limit) : posts.slice(offset);
+}
+
+/**
+ * Comments matching the filters, newest first, each with its post_id
+ */
+function getComments(filters = {}) {
+  if (store.isSqliteEnabled()) return store.getComments(filters);
+
+  const { postId = null, author = null, since = null, until = null, limit = null, offset = 0 } = filters;
+  const comments = getLatestSnapshot().posts
+    .filter(p => !postId || p.id === postId)
+    .flatMap(p => p.comments.map(c => ({ ...c, post_id: p.id })))
+    .filter(c => !author || c.author === author)
+    .filter(c => !since || new Date(c.created) >= new Date(since))
+    .filter(c => !until || new Date(c.created) < new Date(until))
+    .sort((a, b) => new Date(b.created) - new Date(a.created));
+  return limit ? comments.slice(offset, offset + limit) : comments.slice(offset);
+}
+
+module.exports = {
+  getLatestSnapshot,
+  getPosts,
+  getComments,
+  getPostsScope,
+  getSubmoltSnapshots,
+  getSnapshotCount: store.getSnapshotCount,
+  cached,
+  invalidate,
+};
@@ -4,10 +4,8 @@
  * Computes trust scores for moltbook agents from scraped data
  */
 
-const fs = require('fs');
-const path = require('path');
-
-const DATA_DIR = path.join(__dirname, 'data');
+const { readLatest } = require('./snapshots.js');
+const { getLatestSnapshot } = require('./repository.js');
 
 // Tier thresholds (out of 100)
 const TIERS = [
@@ -24,37 +22,11 @@ function getTier(score) {
   return TIERS[TIERS.length - 1];
 }
 
-/**
- * Load latest snapshot
- */
-function loadLatestSnapshot() {
-  const latestPath = path.join(DATA_DIR, 'latest.json');
-  if (!fs.existsSync(latestPath)) return null;
-  const meta = JSON.parse(fs.readFileSync(latestPath, 'utf8'));
-  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, meta.file), 'utf8'));
-}
-
-/**
- * Load all available snapshots for karma velocity analysis
- */
-function loadAllSnapshots() {
-  if (!fs.existsSync(DATA_DIR)) return [];
-  return fs.readdirSync(DATA_DIR)
-    .filter(f => f.startsWith('snapshot-') && f.endsWith('.json'))
-    .sort()
-    .map(f => {
-      try {
-        return JSON.parse(fs.readFileSync(path.join(DATA_DIR, f), 'utf8'));
-      } catch { return null; }
-    })
-    .filter(Boolean);
-}
-
 /**
  * Compute reputation scores for all agents
  */
 function computeReputationScores() {
-  const snapshot = loadLatestSnapshot();
+  const snapshot = readLatest() ? getLatestSnapshot() : null;
   if (!snapshot || !snapshot.posts) return [];
 
   const posts = snapshot.posts;
@@ -65,7 +37,7 @@ function computeReputationScores() {
   const agents = {};
 
   for (const post of posts) {
-    const name = post.author?.name || post.author;
+    const name = post.author;
     if (!name) continue;
 
     if (!agents[name]) {
@@ -81,8 +53,8 @@ function computeReputationScores() {
     }
 
     agents[name].posts.push(post);
-    if (post.submolt?.name || post.submolt) {
-      agents[name].submolts.add(post.submolt?.name || post.submolt);
+    if (post.submolt) {
+      agents[name].submolts.add(post.submolt);
     }
     agents[name].totalUpvotes += (post.upvotes || 0);
     agents[name].commentsReceived += (post.comment_count || 0);
@@ -90,7 +62,7 @@ function computeReputationScores() {
     // Analyze embedded comments if available
     if (Array.isArray(post.comments)) {
       for (const c of post.comments) {
-        const commentAuthor = c.author?.name || c.author;
+        const commentAuthor = c.author;
         if (!commentAuthor) continue;
 
         // Track commenter
@@ -159,7 +131,7 @@ function computeBreakdown(agent, profile, now, totalPostsInSystem) {
   let createdAt = profile?.created_at;
   if (!createdAt && agent.posts.length > 0) {
     const earliest = agent.posts.reduce((min, p) => {
-      const d = new Date(p.created_at || p.created);
+      const d = new Date(p.created);
       return d < min ? d : min;
     }, new Date());
     createdAt = earliest.toISOString();
@@ -180,7 +152,7 @@ function computeBreakdown(agent, profile, now, totalPostsInSystem) {
     // Group posts by day
     const dayBuckets = {};
     for (const p of agent.posts) {
-      const day = (p.created_at || p.created || '').slice(0, 10);
+      const day = (p.created || '').slice(0, 10);
       if (day) dayBuckets[day] = (dayBuckets[day] || 0) + 1;
     }
     const days = Object.keys(dayBuckets).sort();
@@ -249,9 +221,10 @@ function computeBreakdown(agent, profile, now, totalPostsInSystem) {
     let codeBlockCount = 0;
 
     for (const p of agent.posts) {
+      // Score the body when captured; title-only posts fall back to the title
       const content = p.content || p.title || '';
       totalLen += content.length;
-      if (/https?:\/\//.test(content)) linksCount++;
+      if (p.url || /https?:\/\//.test(content)) linksCount++;
       if (/```/.test(content) || /`[^`]+`/.test(content)) codeBlockCount++;
     }
 
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * MoltWatch Snapshot Retention
+ * Thins out old snapshots: keeps everything recent, one per day for a while,
+ * then one per week. Snapshots kept past the first window are gzipped.
+ *
+ * Usage:
+ *   node retention.js          # preview what would be archived and deleted
+ *   node retention.js apply    # archive and delete
+ */
+
+const {
+  listSnapshots,
+  snapshotTime,
+  isDelta,
+  readSnapshotFile,
+  readLatest,
+  compactSnapshot,
+  archiveSnapshot,
+  deleteSnapshot,
+} = require('./snapshots.js');
+const { forgetSnapshots } = require('./store.js');
+const { withScrapeLock, ScrapeLockedError } = require('./lock.js');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+const DEFAULT_POLICY = {
+  keepAllHours: parseInt(process.env.RETENTION_KEEP_ALL_HOURS) || 48,
+  dailyDays: parseInt(process.env.RETENTION_DAILY_DAYS) || 30,
+  weeklyWeeks: parseInt(process.env.RETENTION_WEEKLY_WEEKS) || 0, // 0 = keep weekly forever
+};
+
+// Weeks start on Monday (the epoch was a Thursday)
+const weekKey = time => Math.floor((time.getTime() + 3 * DAY) / WEEK);
+const dayKey = time => time.toISOString().slice(0, 10);
+
+/**
+ * Decide what happens to each snapshot. Newest first, so the snapshot kept
+ * for a day or week is the last one taken in it. The file latest.json points
+ * at is always kept as is.
+ */
+function planRetention(policy = DEFAULT_POLICY, now = new Date()) {
+  const latestFile = readLatest()?.file;
+  const plan = { policy, keep: [], archive: [], remove: [] };
+  const daysKept = new Set();
+  const weeksKept = new Set();
+
+  for (const file of listSnapshots().reverse()) {
+    const time = snapshotTime(file);
+    const age = time ? now - time : 0;
+
+    if (!time || file === latestFile || age <= policy.keepAllHours * HOUR) {
+      plan.keep.push(file);
+      continue;
+    }
+
+    let bucket;
+    if (age <= policy.dailyDays * DAY) {
+      bucket = { seen: daysKept, key: dayKey(time) };
+    } else if (!policy.weeklyWeeks || age <= policy.weeklyWeeks * WEEK) {
+      bucket = { seen: weeksKept, key: weekKey(time) };
+    }
+
+    if (!bucket || bucket.seen.has(bucket.key)) {
+      plan.remove.push(file);
+    } else {
+      bucket.seen.add(bucket.key);
+      (file.endsWith('.gz') ? plan.keep : plan.archive).push(file);
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Carry out a plan. Kept deltas that build on a snapshot being deleted are
+ * rewritten in full first, oldest first, so every kept snapshot still loads.
+ * Archiving writes snapshots in full anyway, and runs before any deletion.
+ */
+function applyRetention(plan = planRetention()) {
+  const removing = new Set(plan.remove.map(f => f.replace(/\.gz$/, '')));
+  const compacted = [];
+
+  const kept = plan.keep.filter(f => !f.endsWith('.gz')).sort();
+  for (const file of kept) {
+    const data = readSnapshotFile(file);
+    if (isDelta(data) && removing.has(data.parent)) {
+      compactSnapshot(file);
+      compacted.push(file);
+    }
+  }
+
+  const archived = plan.archive.slice().sort().map(file => archiveSnapshot(file));
+  plan.remove.forEach(deleteSnapshot);
+  forgetSnapshots(plan.remove.map(f => f.replace(/\.gz$/, '')));
+
+  return { compacted, archived, removed: plan.remove };
+}
+
+/**
+ * Plan summary for the CLI and admin endpoint
+ */
+function describePlan(plan) {
+  return {
+    policy: plan.policy,
+    keep: plan.keep.length,
+    archive: plan.archive,
+    remove: plan.remove,
+  };
+}
+
+// ============ CLI ============
+
+function printPlan(plan) {
+  const { keepAllHours, dailyDays, weeklyWeeks } = plan.policy;
+  console.log(`🗂️  Retention: all for ${keepAllHours}h, daily for ${dailyDays}d, weekly ${weeklyWeeks ? `for ${weeklyWeeks}w` : 'forever'}`);
+  console.log(`   Keep ${plan.keep.length}, archive ${plan.archive.length}, delete ${plan.remove.length}\n`);
+  plan.archive.forEach(f => console.log(`  🗜️  ${f}`));
+  plan.remove.forEach(f => console.log(`  🗑️  ${f}`));
+}
+
+if (require.main === module) {
+  if (process.argv[2] !== 'apply') {
+    const plan = planRetention();
+    printPlan(plan);
+    if (plan.archive.length || plan.remove.length) console.log('\nRun `node retention.js apply` to apply.');
+  } else {
+    // Holds data/scrape.lock so snapshots aren't deleted from under a running scrape
+    withScrapeLock('CLI retention', () => {
+      const plan = planRetention();
+      printPlan(plan);
+      const result = applyRetention(plan);
+      console.log(`\n✅ Archived ${result.archived.length}, deleted ${result.removed.length}, rewrote ${result.compacted.length} deltas in full`);
+    }).catch(e => {
+      if (e instanceof ScrapeLockedError) {
+        console.error(`❌ ${e.message}`);
+      } else {
+        console.error('Retention failed:', e);
+      }
+      process.exit(1);
+    });
+  }
+}
+
+module.exports = { planRetention, applyRetention, describePlan, DEFAULT_POLICY };
@@ -4,34 +4,13 @@
  * Identifies submolts that were inactive but are now showing new activity
  */
 
-const fs = require('fs');
-const path = require('path');
-
-const DATA_DIR = path.join(__dirname, 'data');
-
-/**
- * Get all snapshot files sorted by date (newest first)
- */
-function getSnapshotFiles() {
-  const files = fs.readdirSync(DATA_DIR)
-    .filter(file => file.match(/^snapshot-\d{4}-\d{2}-\d{2}\.json$/))
-    .sort()
-    .reverse(); // newest first
-  
-  return files.map(file => path.join(DATA_DIR, file));
-}
+const { getSubmoltSnapshots } = require('./repository.js');
 
 /**
- * Load snapshot data from file
+ * Most recent snapshots (timestamp and submolts only), newest first
  */
-function loadSnapshot(filePath) {
-  try {
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    return data;
-  } catch (error) {
-    console.error(`Error loading snapshot ${filePath}:`, error.message);
-    return null;
-  }
+function loadRecentSnapshots(count = 2) {
+  return getSubmoltSnapshots({ limit: count });
 }
 
 /**
@@ -137,29 +116,22 @@ function main() {
   console.log('🔍 MoltWatch Rising Spots Detection');
   console.log('=====================================');
   
-  const snapshotFiles = getSnapshotFiles();
+  const snapshots = loadRecentSnapshots();
   
-  if (snapshotFiles.length < 2) {
+  if (snapshots.length < 2) {
     console.log(`\n⚠️  Need at least 2 snapshots to detect rising spots.`);
-    console.log(`   Found ${snapshotFiles.length} snapshot(s).`);
-    if (snapshotFiles.length === 1) {
-      console.log(`   Current: ${path.basename(snapshotFiles[0])}`);
+    console.log(`   Found ${snapshots.length} snapshot(s).`);
+    if (snapshots.length === 1) {
+      console.log(`   Current: ${snapshots[0].file}`);
     }
     console.log(`\n   Rising spots detection will be available after the next scraper run.`);
     return;
   }
   
+  const [newerSnapshot, olderSnapshot] = snapshots;
   console.log(`\n📊 Comparing snapshots:`);
-  console.log(`   Newer: ${path.basename(snapshotFiles[0])}`);
-  console.log(`   Older: ${path.basename(snapshotFiles[1])}`);
-  
-  const newerSnapshot = loadSnapshot(snapshotFiles[0]);
-  const olderSnapshot = loadSnapshot(snapshotFiles[1]);
-  
-  if (!newerSnapshot || !olderSnapshot) {
-    console.error('❌ Failed to load snapshots');
-    process.exit(1);
-  }
+  console.log(`   Newer: ${newerSnapshot.file}`);
+  console.log(`   Older: ${olderSnapshot.file}`);
   
   const risingSpots = findRisingSpots(newerSnapshot, olderSnapshot);
   
@@ -188,7 +160,6 @@ if (require.main === module) {
 
 module.exports = {
   findRisingSpots,
-  getSnapshotFiles,
-  loadSnapshot,
+  loadRecentSnapshots,
   wasInactive
 };
\ No newline at end of file
@@ -6,6 +6,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getRemovalCounts } = require('./tombstones.js');
+const { getSubmoltSnapshots, getPosts } = require('./repository.js');
 
 const DATA_DIR = path.join(__dirname, 'data');
 const DAYS = 7;
@@ -15,21 +17,25 @@ function getDateString(date) {
 }
 
 function loadSnapshotsFromPastWeek() {
-  const snapshots = [];
   const now = new Date();
   
+  const dates = new Set();
   for (let i = 0; i < DAYS; i++) {
     const date = new Date(now);
     date.setDate(date.getDate() - i);
-    const dateStr = getDateString(date);
-    const snapshotPath = path.join(DATA_DIR, `snapshot-${dateStr}.json`);
-    
-    if (fs.existsSync(snapshotPath)) {
-      const data = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
-      data.dateStr = dateStr;
-      snapshots.push(data);
+    dates.add(getDateString(date));
+  }
+  const since = new Date(`${Array.from(dates).sort()[0]}T00:00:00Z`);
+  
+  // Last snapshot of each day (newest come first)
+  const byDate = new Map();
+  for (const snapshot of getSubmoltSnapshots({ since })) {
+    const dateStr = getDateString(new Date(snapshot.timestamp));
+    if (dates.has(dateStr) && !byDate.has(dateStr)) {
+      byDate.set(dateStr, { ...snapshot, dateStr });
     }
   }
+  const snapshots = Array.from(byDate.values());
   
   // Sort by date, oldest first
   snapshots.sort((a, b) => a.dateStr.localeCompare(b.dateStr));
@@ -37,7 +43,7 @@ function loadSnapshotsFromPastWeek() {
   return snapshots;
 }
 
-function analyzeWeeklyData(snapshots) {
+function analyzeWeeklyData(snapshots, posts = null) {
   if (snapshots.length === 0) {
     throw new Error('No snapshot data found for the past week');
   }
@@ -82,18 +88,17 @@ function analyzeWeeklyData(snapshots) {
     });
   }
   
-  // Count posts per submolt (estimated from activity)
-  snapshots.forEach(snapshot => {
-    if (snapshot.posts) {
-      snapshot.posts.forEach(post => {
-        const submolt = post.submolt;
-        submoltPostCounts.set(submolt, (submoltPostCounts.get(submolt) || 0) + 1);
-        
-        const author = post.author;
-        if (author) {
-          agentPostCounts.set(author, (agentPostCounts.get(author) || 0) + 1);
-        }
-      });
+  // Count posts created this week per submolt and author
+  const weekPosts = posts || getPosts({
+    since: new Date(new Date(latest.timestamp).getTime() - (DAYS * 24 * 60 * 60 * 1000))
+  });
+  weekPosts.forEach(post => {
+    const submolt = post.submolt;
+    submoltPostCounts.set(submolt, (submoltPostCounts.get(submolt) || 0) + 1);
+    
+    const author = post.author;
+    if (author) {
+      agentPostCounts.set(author, (agentPostCounts.get(author) || 0) + 1);
     }
   });
   
@@ -135,6 +140,10 @@ function analyzeWeeklyData(snapshots) {
     .sort((a, b) => b.count - a.count)
     .slice(0, 10);
   
+  // Removals first detected this week
+  const removalsSince = new Date(new Date(latest.timestamp).getTime() - (DAYS * 24 * 60 * 60 * 1000));
+  const removals = getRemovalCounts(removalsSince.toISOString());
+  
   return {
     latest,
     totalActiveSubmolts: newActiveSubmolts.size,
@@ -144,12 +153,13 @@ function analyzeWeeklyData(snapshots) {
     risingSpots,
     newSubmolts,
     topAgents,
+    removals,
     snapshotCount: snapshots.length
   };
 }
 
 function formatWeeklyRollup(analysis) {
-  const { latest, totalActiveSubmolts, totalSubmolts, totalPosts, topSubmoltsByPosts, risingSpots, newSubmolts, topAgents } = analysis;
+  const { latest, totalActiveSubmolts, totalSubmolts, totalPosts, topSubmoltsByPosts, risingSpots, newSubmolts, topAgents, removals } = analysis;
   
   const weekDate = new Date(latest.timestamp);
   weekDate.setDate(weekDate.getDate() - 6); // Start of the week
@@ -219,6 +229,12 @@ function formatWeeklyRollup(analysis) {
     rollup += `No contributor activity detected in available data.\n`;
   }
   
+  // Removals
+  if (removals && (removals.posts || removals.comments || removals.submolts)) {
+    rollup += `\n## 🪦 Removals\n`;
+    rollup += `- ${removals.posts.toLocaleString()} posts, ${removals.comments.toLocaleString()} comments and ${removals.submolts.toLocaleString()} submolts disappeared this week\n`;
+  }
+  
   return rollup;
 }
 
@@ -0,0 +1,230 @@
+/**
+ * Scrape Scheduler
+ * Cron-style schedules for full and incremental scrapes, and scheduler state
+ * persisted to data/ so a restarted server picks the schedule up where it
+ * left off instead of scraping from scratch on every boot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readLatest } = require('./snapshots.js');
+const { loadCheckpoint } = require('./checkpoint.js');
+const { writeFileAtomic } = require('./lock.js');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const STATE_FILE = path.join(DATA_DIR, 'scheduler.json');
+
+// Standard five-field cron expressions, in the server's local time
+const DEFAULT_SCHEDULE = {
+  full: process.env.SCRAPE_FULL_CRON || '0 4 * * *',
+  incremental: process.env.SCRAPE_INCREMENTAL_CRON || '0 */2 * * *',
+};
+
+const MODES = ['full', 'incremental', 'targeted'];
+
+// ============ CRON ============
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+function parseField(value, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: "${part}"`);
+
+    const [, range, from, to, step] = match;
+    let start = range === '*' ? min : parseInt(from);
+    let end = range === '*' ? max : to !== undefined ? parseInt(to) : start;
+    // "5/15" means every 15 from 5 to the end of the range
+    if (step && range !== '*' && to === undefined) end = max;
+    const every = step ? parseInt(step) : 1;
+
+    if (start < min || end > max || start > end || every < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+    for (let v = start; v <= end; v += every) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse "minute hour day-of-month month day-of-week". Supports *, numbers,
+ * ranges (1-5), lists (1,15) and steps over either (0-30/10, or every other
+ * hour as a step of 2 over *).
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    expression: parts.join(' '),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*',
+  };
+}
+
+// As in cron, when both day fields are restricted either one matching is enough
+function dayMatches(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+}
+
+/**
+ * First time strictly after `after` that the schedule fires, or null if it
+ * never does (e.g. February 30th)
+ */
+function nextCronTime(cron, after = new Date()) {
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+
+  // Skipping whole months, days and hours keeps this to a few hundred steps
+  const limit = new Date(t);
+  limit.setFullYear(limit.getFullYear() + 5);
+  while (t < limit) {
+    if (!cron.months.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, t)) {
+      t.setDate(t.getDate() + 1);
+      t.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1, 0, 0);
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+// ============ STATE ============
+
+function emptyState() {
+  return { updatedAt: null, lastFullScrape: null, lastIncrementalScrape: null, lastTargetedScrape: null };
+}
+
+function loadSchedulerState() {
+  try {
+    if (fs.existsSync(STATE_FILE)) {
+      return { ...emptyState(), ...JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')) };
+    }
+  } catch (error) {
+    console.warn('Failed to load scheduler state:', error.message);
+  }
+  return emptyState();
+}
+
+/**
+ * Record that a scrape of `mode` finished at `time`. Returns the new state.
+ */
+function recordScrape(mode, time = new Date()) {
+  if (!MODES.includes(mode)) throw new Error(`Unknown scrape mode: ${mode}`);
+
+  const state = loadSchedulerState();
+  const key = `last${mode[0].toUpperCase()}${mode.slice(1)}Scrape`;
+  state[key] = new Date(time).toISOString();
+  state.updatedAt = new Date().toISOString();
+
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(STATE_FILE, JSON.stringify(state, null, 2));
+  } catch (error) {
+    console.error('Failed to save scheduler state:', error.message);
+  }
+  return state;
+}
+
+// ============ PLANNING ============
+
+function latestOf(...times) {
+  const valid = times.filter(Boolean).map(t => new Date(t)).filter(t => !isNaN(t));
+  return valid.length ? new Date(Math.max(...valid)) : null;
+}
+
+/**
+ * The next scheduled run: { mode, at }. A full scrape wins when both fire
+ * in the same minute.
+ */
+function nextScheduledRun(schedule, after = new Date()) {
+  const full = nextCronTime(schedule.full, after);
+  const incremental = nextCronTime(schedule.incremental, after);
+
+  if (full && (!incremental || full <= incremental)) return { mode: 'full', at: full };
+  if (incremental) return { mode: 'incremental', at: incremental };
+  return null;
+}
+
+/**
+ * What to scrape when the server starts, going by persisted state and the
+ * latest snapshot's age: { mode, reason }, mode null when nothing is due.
+ *   - an interrupted full scrape is resumed from its checkpoint
+ *   - with no snapshot at all, a full scrape
+ *   - a full or incremental scrape if one was due since the last of its kind
+ * Without saved state (first boot after upgrading) the latest snapshot counts
+ * as the last full scrape, so existing data isn't re-scraped right away.
+ */
+function planStartupScrape(schedule, state = loadSchedulerState(), now = new Date()) {
+  if (loadCheckpoint()) return { mode: 'full', reason: 'resuming interrupted full scrape' };
+
+  const latest = readLatest();
+  if (!latest) return { mode: 'full', reason: 'no snapshot yet' };
+
+  const lastFull = latestOf(state.lastFullScrape) || new Date(latest.timestamp);
+  const fullDue = nextCronTime(schedule.full, lastFull);
+  if (fullDue && fullDue <= now) {
+    return { mode: 'full', reason: `full scrape was due ${fullDue.toISOString()}` };
+  }
+
+  const lastScrape = latestOf(latest.timestamp, state.lastFullScrape, state.lastIncrementalScrape);
+  const incrementalDue = nextCronTime(schedule.incremental, lastScrape);
+  if (incrementalDue && incrementalDue <= now) {
+    return { mode: 'incremental', reason: `incremental scrape was due ${incrementalDue.toISOString()}` };
+  }
+
+  return { mode: null, reason: `latest snapshot from ${latest.timestamp} is current` };
+}
+
+/**
+ * Parse the configured schedule, throwing on invalid cron expressions
+ */
+function loadSchedule(config = DEFAULT_SCHEDULE) {
+  return {
+    full: parseCron(config.full),
+    incremental: parseCron(config.incremental),
+  };
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+  nextScheduledRun,
+  planStartupScrape,
+  loadSchedule,
+  loadSchedulerState,
+  recordScrape,
+  DEFAULT_SCHEDULE,
+  STATE_FILE,
+};
@@ -0,0 +1,259 @@
+/**
+ * MoltWatch Snapshot Schema
+ * Canonical snapshot shape (JSON Schema), a validator for it, and the
+ * migrations that upgrade snapshots written by older versions. Files are
+ * migrated in memory on load, or in place with `node snapshots.js migrate`.
+ */
+
+const { annotateThread, threadComplete } = require('./threads.js');
+
+const SCHEMA_VERSION = 2;
+
+const nullable = type => ({ type: [type, 'null'] });
+
+const COMMENT_SCHEMA = {
+  type: 'object',
+  required: ['id', 'parent_id', 'author', 'body', 'upvotes', 'created', 'depth', 'reply_ids'],
+  properties: {
+    id: { type: 'string' },
+    parent_id: nullable('string'),
+    author: nullable('string'),
+    body: nullable('string'),
+    upvotes: nullable('integer'),
+    created: nullable('string'),
+    depth: { type: 'integer', minimum: 0 },
+    reply_ids: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+const POST_SCHEMA = {
+  type: 'object',
+  required: ['id', 'title', 'content', 'url', 'type', 'submolt', 'author', 'upvotes', 'comment_count', 'created', 'comments', 'commentsComplete'],
+  properties: {
+    id: { type: 'string' },
+    title: nullable('string'),
+    content: nullable('string'),
+    url: nullable('string'),
+    type: { type: 'string' },
+    submolt: nullable('string'),
+    author: nullable('string'),
+    upvotes: nullable('integer'),
+    comment_count: nullable('integer'),
+    created: nullable('string'),
+    comments: { type: 'array', items: COMMENT_SCHEMA },
+    commentsComplete: { type: 'boolean' },
+    commentsCutOff: { type: 'boolean' },
+  },
+};
+
+const SUBMOLT_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+    display_name: nullable('string'),
+    subscribers: nullable('integer'),
+    last_activity: nullable('string'),
+    created: nullable('string'),
+  },
+};
+
+const SNAPSHOT_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'MoltWatch snapshot',
+  type: 'object',
+  required: ['schemaVersion', 'timestamp', 'stats', 'submolts', 'posts', 'agentProfiles'],
+  properties: {
+    schemaVersion: { const: SCHEMA_VERSION },
+    timestamp: { type: 'string' },
+    stats: { type: 'object' },
+    submolts: { type: 'array', items: SUBMOLT_SCHEMA },
+    posts: { type: 'array', items: POST_SCHEMA },
+    agentProfiles: { type: 'object', additionalProperties: { type: 'object' } },
+    heatmapData: nullable('array'),
+  },
+};
+
+// ============ VALIDATION ============
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against the subset of JSON Schema used here (type, const,
+ * enum, minimum, required, properties, additionalProperties, items).
+ * Collects up to maxErrors { path, message } entries.
+ */
+function validate(value, schema, path = '$', errors = [], maxErrors = 50) {
+  if (errors.length >= maxErrors) return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path, message: `expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `expected one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push({ path, message: `expected >= ${schema.minimum}` });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path, message: `missing required property "${key}"` });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties?.[key] || schema.additionalProperties;
+      if (childSchema && typeof childSchema === 'object') {
+        validate(child, childSchema, `${path}.${key}`, errors, maxErrors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, errors, maxErrors));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a full (not delta) snapshot. Returns a list of errors, empty when valid.
+ */
+function validateSnapshot(snapshot, maxErrors = 50) {
+  return validate(snapshot, SNAPSHOT_SCHEMA, '$', [], maxErrors);
+}
+
+// ============ MIGRATIONS ============
+
+// Raw API objects name the agent/submolt in a nested object
+const nameOf = value => (value && typeof value === 'object' ? value.name : value) ?? null;
+
+function normalizeComment(c) {
+  return {
+    id: c.id,
+    parent_id: c.parent_id ?? null,
+    author: nameOf(c.author),
+    body: c.body ?? c.content ?? null,
+    upvotes: c.upvotes ?? c.upvote_count ?? null,
+    created: c.created ?? c.created_at ?? null,
+  };
+}
+
+function normalizePost(p) {
+  return {
+    id: p.id,
+    title: p.title ?? null,
+    content: p.content ?? p.body ?? null,
+    url: p.url ?? null,
+    type: p.type || (p.url ? 'link' : 'text'),
+    submolt: nameOf(p.submolt),
+    author: nameOf(p.author),
+    upvotes: p.upvotes ?? p.upvote_count ?? null,
+    comment_count: p.comment_count ?? null,
+    created: p.created ?? p.created_at ?? null,
+    comments: annotateThread((p.comments || []).map(normalizeComment)),
+  };
+}
+
+// The oldest snapshots have no submolt list, only submolt objects on posts
+function submoltsFromPosts(posts = []) {
+  const submolts = new Map();
+  for (const p of posts) {
+    if (p.submolt && typeof p.submolt === 'object' && !submolts.has(p.submolt.name)) {
+      submolts.set(p.submolt.name, p.submolt);
+    }
+  }
+  return Array.from(submolts.values());
+}
+
+function normalizeSubmolt(s) {
+  return {
+    name: s.name,
+    display_name: s.display_name ?? null,
+    subscribers: s.subscribers ?? s.subscriber_count ?? null,
+    last_activity: s.last_activity ?? s.last_activity_at ?? null,
+    created: s.created ?? s.created_at ?? null,
+  };
+}
+
+const flagThread = post => ({ ...post, commentsComplete: threadComplete(post) });
+
+/**
+ * Migrations in order. Each upgrades a full snapshot and the upserted items
+ * of a delta from the previous version. Unversioned files count as version 0.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Canonical shape: author/submolt names as strings, created instead of created_at, nulls for missing fields',
+    snapshot: snapshot => ({
+      ...snapshot,
+      stats: snapshot.stats || {},
+      submolts: (snapshot.submolts || submoltsFromPosts(snapshot.posts)).map(normalizeSubmolt),
+      posts: (snapshot.posts || []).map(normalizePost),
+      agentProfiles: snapshot.agentProfiles || {},
+      heatmapData: snapshot.heatmapData ?? null,
+    }),
+    delta: delta => ({
+      ...delta,
+      posts: { ...delta.posts, upserted: (delta.posts?.upserted || []).map(normalizePost) },
+      submolts: { ...delta.submolts, upserted: (delta.submolts?.upserted || []).map(normalizeSubmolt) },
+    }),
+  },
+  {
+    version: 2,
+    description: 'commentsComplete on posts: whether the stored comments cover comment_count',
+    snapshot: snapshot => ({ ...snapshot, posts: snapshot.posts.map(flagThread) }),
+    delta: delta => ({ ...delta, posts: { ...delta.posts, upserted: (delta.posts?.upserted || []).map(flagThread) } }),
+  },
+];
+
+function schemaVersionOf(data) {
+  return data?.schemaVersion || 0;
+}
+
+/**
+ * Upgrade a snapshot or delta (as read from disk) to SCHEMA_VERSION.
+ * Returns the same object when it's already current.
+ */
+function migrate(data) {
+  const from = schemaVersionOf(data);
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Snapshot schema version ${from} is newer than this code supports (${SCHEMA_VERSION})`);
+  }
+  if (from === SCHEMA_VERSION) return data;
+
+  let result = data;
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from) continue;
+    result = data.kind === 'delta' ? migration.delta(result) : migration.snapshot(result);
+    result.schemaVersion = migration.version;
+  }
+  return result;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  SNAPSHOT_SCHEMA,
+  validate,
+  validateSnapshot,
+  migrate,
+  schemaVersionOf,
+  MIGRATIONS,
+};
@@ -6,124 +6,377 @@
 
 const fs = require('fs');
 const path = require('path');
+const { fetchAPI, getKeyPool, resetRequestStats, getRequestStats } = require('./api.js');
+const { newCheckpoint, loadCheckpoint, saveCheckpoint, completePhase, clearCheckpoint } = require('./checkpoint.js');
+const { TokenBucket, runPool } = require('./pool.js');
+const { flattenComments, annotateThread, threadComplete, mergeComments } = require('./threads.js');
+const { recordEngagement } = require('./engagement.js');
+const { detectRemovals, recordRemovals } = require('./tombstones.js');
+const { readLatest, loadLatestSnapshot, saveSnapshot } = require('./snapshots.js');
+const { recordSnapshot } = require('./store.js');
+const { SCHEMA_VERSION } = require('./schema.js');
+const { startPhase, reportProgress } = require('./jobs.js');
+const { withScrapeLock, ScrapeLockedError } = require('./lock.js');
 
-const API_BASE = 'https://www.moltbook.com/api/v1';
-const API_KEY = process.env.MOLTBOOK_API_KEY || 'moltbook_sk_FrfNTK2tHCYxm004W3aWm12G5tecUWyV';
 const DATA_DIR = path.join(__dirname, 'data');
-const RATE_LIMIT_MS = 200;
+const CONCURRENCY = parseInt(process.env.SCRAPE_CONCURRENCY) || 4;
+const RATE_PER_SEC = parseFloat(process.env.SCRAPE_RATE_PER_SEC) || 5;
+const RATE_BURST = parseInt(process.env.SCRAPE_RATE_BURST) || RATE_PER_SEC;
+const CHECKPOINT_EVERY_POSTS = 500; // save post progress every 10 pages
+const INCREMENTAL_PAGE_SIZE = 50;
+const INCREMENTAL_MAX_PAGES = parseInt(process.env.INCREMENTAL_MAX_PAGES) || 20;
+const PROFILE_REFRESH_BATCH = parseInt(process.env.PROFILE_REFRESH_BATCH ?? 50);
+// Listing pages past the incremental walk checked for posts whose comment count grew
+const COMMENT_RECHECK_PAGES = parseInt(process.env.COMMENT_RECHECK_PAGES ?? 4);
+const COMMENT_PAGE_SIZE = 100;
+const COMMENT_MAX_PAGES = parseInt(process.env.COMMENT_MAX_PAGES) || 50;
 
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-async function fetchAPI(endpoint, params = {}) {
-  const url = new URL(`${API_BASE}${endpoint}`);
-  Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, String(v)));
+// One bucket for every phase, so parallel comment and profile workers
+// together stay within SCRAPE_RATE_PER_SEC
+const limiter = new TokenBucket(RATE_PER_SEC, RATE_BURST);
 
-  const res = await fetch(url.toString(), {
-    headers: { 'Authorization': `Bearer ${API_KEY}` }
-  });
+// Retries inside fetchAPI take their own tokens
+async function scraperFetch(endpoint, params) {
+  return fetchAPI(endpoint, params, { limiter });
+}
+
+// ============ STOPPING ============
 
-  if (!res.ok) {
-    throw new Error(`API error ${res.status}: ${await res.text()}`);
+class ScrapeStopped extends Error {
+  constructor() {
+    super('Scrape stopped before finishing');
+    this.name = 'ScrapeStopped';
   }
+}
+
+let stopRequested = false;
 
-  return res.json();
+/**
+ * Ask the running scrape to stop at the next page or item. A full scrape
+ * saves its checkpoint first, so the next full scrape resumes from there.
+ */
+function requestStop() {
+  stopRequested = true;
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+function throwIfStopped(work = null) {
+  if (!stopRequested) return;
+  if (work) saveCheckpoint(work);
+  throw new ScrapeStopped();
 }
 
 // ============ SUBMOLTS ============
 
-async function scrapeSubmolts() {
+/**
+ * Every submolt, or null when the listing fails part way. A partial list
+ * would read as removed submolts, so callers keep the previous snapshot's.
+ */
+async function scrapeSubmolts(work = null) {
+  if (work?.submolts.done) {
+    console.log(`📦 ${work.submolts.items.length} submolts restored from checkpoint`);
+    return work.submolts.items;
+  }
+
   console.log('📦 Scraping submolts...');
   const submolts = [];
 
   for (let offset = 0; ; offset += 100) {
-    const data = await fetchAPI('/submolts', { limit: 100, offset });
+    let data;
+    try {
+      data = await scraperFetch('/submolts', { limit: 100, offset });
+    } catch (e) {
+      // fetchAPI already retried; the failure is recorded in the request stats
+      console.warn(`  ⚠️  Submolt listing failed at offset ${offset}, keeping the previous snapshot's submolts: ${e.message}`);
+      return null;
+    }
     if (!data.submolts || data.submolts.length === 0) break;
     submolts.push(...data.submolts);
     console.log(`  ${submolts.length} submolts...`);
-    await sleep(RATE_LIMIT_MS);
   }
 
   console.log(`  ✅ ${submolts.length} submolts total`);
+  if (work) {
+    work.submolts.items = submolts;
+    completePhase(work, 'submolts');
+  }
   return submolts;
 }
 
 // ============ POSTS (full pagination) ============
 
-async function scrapeAllPosts() {
-  console.log('📝 Scraping ALL posts...');
-  const allPosts = [];
+async function scrapeAllPosts(work = null) {
+  if (work?.posts.done) {
+    console.log(`📝 ${work.posts.items.length} posts restored from checkpoint`);
+    return work.posts.items;
+  }
+
+  const allPosts = work ? work.posts.items : [];
+  const startOffset = work ? work.posts.nextOffset : 0;
+  // New posts shift offsets between runs, so a resumed walk can see some posts twice
+  const seen = new Set(allPosts.map(p => p.id));
 
-  for (let offset = 0; ; offset += 50) {
+  console.log(startOffset > 0
+    ? `📝 Resuming post scrape at offset ${startOffset} (${allPosts.length} posts so far)...`
+    : '📝 Scraping ALL posts...');
+
+  for (let offset = startOffset; ; offset += 50) {
+    if (work) work.posts.nextOffset = offset;
+    throwIfStopped(work);
     try {
-      const data = await fetchAPI('/posts', { sort: 'new', limit: 50, offset });
+      const data = await scraperFetch('/posts', { sort: 'new', limit: 50, offset });
       if (!data.posts || data.posts.length === 0) break;
-      allPosts.push(...data.posts);
+      for (const post of data.posts) {
+        if (seen.has(post.id)) continue;
+        seen.add(post.id);
+        allPosts.push(post);
+      }
+      reportProgress({ postsPaged: allPosts.length });
 
       if (offset % 500 === 0 || !data.has_more) {
         console.log(`  ${allPosts.length} posts (offset ${offset})...`);
       }
 
+      if (work && offset % CHECKPOINT_EVERY_POSTS === 0) {
+        work.posts.nextOffset = offset + 50;
+        saveCheckpoint(work);
+      }
+
       if (!data.has_more) break;
-      await sleep(RATE_LIMIT_MS);
     } catch (e) {
-      console.error(`  Error at offset ${offset}: ${e.message}`);
+      // fetchAPI already retried; the failure is recorded in the request stats
+      console.error(`  Error at offset ${offset}, post list truncated: ${e.message}`);
+      if (work) work.posts.truncated = true;
       break;
     }
   }
 
   console.log(`  ✅ ${allPosts.length} posts total`);
+  if (work) completePhase(work, 'posts');
   return allPosts;
 }
 
+// ============ POSTS (incremental, until known) ============
+
+/**
+ * Page through newest posts until a page overlaps with posts we already have.
+ * maxPages caps the walk so a long outage can't turn into an unbounded scrape;
+ * anything beyond the cap is picked up by the next full scrape.
+ */
+async function scrapeNewPosts(knownIds, maxPages = INCREMENTAL_MAX_PAGES) {
+  console.log('📝 Fetching new posts...');
+  const posts = [];
+  let pages = 0;
+  let reachedKnown = false;
+  let exhausted = false;
+
+  for (let offset = 0; pages < maxPages; offset += INCREMENTAL_PAGE_SIZE) {
+    throwIfStopped();
+    let data;
+    try {
+      data = await scraperFetch('/posts', { sort: 'new', limit: INCREMENTAL_PAGE_SIZE, offset });
+    } catch (e) {
+      console.error(`  Error at offset ${offset}: ${e.message}`);
+      break;
+    }
+    pages++;
+
+    const page = data.posts || [];
+    posts.push(...page);
+    reportProgress({ postsPaged: posts.length });
+
+    if (page.some(p => knownIds.has(p.id))) {
+      reachedKnown = true;
+      break;
+    }
+    if (page.length === 0 || !data.has_more) {
+      exhausted = true;
+      break;
+    }
+  }
+
+  const newCount = posts.filter(p => !knownIds.has(p.id)).length;
+  const hitPageCap = !reachedKnown && !exhausted && pages >= maxPages;
+  if (hitPageCap) {
+    console.warn(`  ⚠️  Hit page cap (${maxPages}) before reaching known posts; older new posts wait for the next full scrape`);
+  }
+  console.log(`  ✅ ${posts.length} posts walked over ${pages} pages, ${newCount} new`);
+
+  return { posts, pages, newCount, reachedKnown, hitPageCap };
+}
+
+// ============ POSTS (listing past the walk) ============
+
+/**
+ * Listing pages from startOffset on, for current upvote and comment counts of
+ * posts we already have. Stops early at the end of the listing or on error.
+ */
+async function scrapeListedPosts(startOffset, pages) {
+  const posts = [];
+  for (let page = 0, offset = startOffset; page < pages; page++, offset += INCREMENTAL_PAGE_SIZE) {
+    throwIfStopped();
+    try {
+      const data = await scraperFetch('/posts', { sort: 'new', limit: INCREMENTAL_PAGE_SIZE, offset });
+      posts.push(...(data.posts || []));
+      if (!data.posts?.length || !data.has_more) break;
+    } catch (e) {
+      console.error(`  Error at offset ${offset}: ${e.message}`);
+      break;
+    }
+  }
+  return posts;
+}
+
+// ============ POSTS (one submolt) ============
+
+/**
+ * Every post in one submolt, newest first. truncated is set when an error
+ * cut the listing short.
+ */
+async function scrapeSubmoltPosts(name) {
+  const posts = [];
+  let truncated = false;
+
+  for (let offset = 0; ; offset += 50) {
+    throwIfStopped();
+    try {
+      const data = await scraperFetch('/posts', { submolt: name, sort: 'new', limit: 50, offset });
+      if (!data.posts || data.posts.length === 0) break;
+      posts.push(...data.posts);
+      if (!data.has_more) break;
+    } catch (e) {
+      console.error(`  Error at offset ${offset} in m/${name}, post list truncated: ${e.message}`);
+      truncated = true;
+      break;
+    }
+  }
+
+  return { posts, truncated };
+}
+
 // ============ COMMENTS ============
 
+// Posts whose thread fetch stopped early this run (a failed request or the
+// page limit); their snapshot posts are marked commentsCutOff
+const cutOffThreads = new Set();
+
+/**
+ * Every comment on a post, paging through the thread. A failure after the
+ * first page returns the comments so far, which then fall short of the
+ * post's comment_count (see threadComplete).
+ */
 async function scrapeCommentsForPost(postId) {
-  try {
-    const data = await fetchAPI(`/posts/${postId}/comments`, { sort: 'new' });
-    return data.comments || data || [];
-  } catch (e) {
-    // Some posts may not have comments or endpoint may 404
-    return [];
+  const comments = [];
+  const seen = new Set();
+
+  let page = 0;
+  for (; page < COMMENT_MAX_PAGES; page++) {
+    let data;
+    try {
+      data = await scraperFetch(`/posts/${postId}/comments`, { sort: 'new', limit: COMMENT_PAGE_SIZE, offset: page * COMMENT_PAGE_SIZE });
+    } catch (e) {
+      // Some posts may not have comments or endpoint may 404. null (not [])
+      // so callers can tell a failed fetch from an empty thread.
+      cutOffThreads.add(postId);
+      return page === 0 ? null : comments;
+    }
+
+    const items = (Array.isArray(data) ? data : data.comments) || [];
+    // Replies may come nested; flatten so counts and author lookups see all of them
+    const fresh = flattenComments(items).filter(c => !seen.has(c.id));
+    for (const c of fresh) {
+      seen.add(c.id);
+      comments.push(c);
+    }
+
+    // Done at the last page, or when a page brings nothing new (offset ignored)
+    const hasMore = data.has_more ?? items.length >= COMMENT_PAGE_SIZE;
+    if (!hasMore || fresh.length === 0) break;
   }
+
+  if (page === COMMENT_MAX_PAGES) {
+    cutOffThreads.add(postId);
+    console.warn(`  ⚠️  Comments on ${postId} cut off at ${COMMENT_MAX_PAGES} pages`);
+  }
+  return comments;
 }
 
-async function scrapeAllComments(posts) {
-  console.log(`💬 Scraping comments for ${posts.length} posts...`);
-  const postComments = {};
-  let totalComments = 0;
-  let i = 0;
+async function scrapeAllComments(posts, work = null) {
+  cutOffThreads.clear();
+  if (work?.comments.done) {
+    console.log(`💬 Comments for ${Object.keys(work.comments.byPost).length} posts restored from checkpoint`);
+    return work.comments.byPost;
+  }
 
-  for (const post of posts) {
-    const postId = post.id;
+  const postComments = work ? work.comments.byPost : {};
+  const checked = new Set(work ? work.comments.checked : []);
+  let totalComments = Object.values(postComments).reduce((sum, c) => sum + c.length, 0);
+  let done = checked.size;
+
+  console.log(checked.size > 0
+    ? `💬 Resuming comments: ${checked.size}/${posts.length} posts already checked...`
+    : `💬 Scraping comments for ${posts.length} posts (${CONCURRENCY} workers)...`);
+
+  const pending = posts.filter(post => !checked.has(post.id));
+  await runPool(pending, CONCURRENCY, async (post) => {
+    if (stopRequested) return;
     // Only fetch if post has comments
     if (post.comment_count > 0) {
-      const comments = await scrapeCommentsForPost(postId);
-      if (comments.length > 0) {
-        postComments[postId] = comments;
+      const comments = await scrapeCommentsForPost(post.id);
+      if (comments) {
+        postComments[post.id] = comments;
         totalComments += comments.length;
       }
-      await sleep(RATE_LIMIT_MS);
     }
-    i++;
-    if (i % 100 === 0) {
-      console.log(`  ${i}/${posts.length} posts checked, ${totalComments} comments found...`);
+    checked.add(post.id);
+
+    done++;
+    reportProgress({ postsChecked: done, postsToCheck: posts.length, commentsFetched: totalComments });
+    if (done % 100 === 0) {
+      console.log(`  ${done}/${posts.length} posts checked, ${totalComments} comments found...`);
+      if (work) {
+        work.comments.checked = Array.from(checked);
+        saveCheckpoint(work);
+      }
     }
-  }
+  });
 
-  console.log(`  ✅ ${totalComments} comments from ${Object.keys(postComments).length} posts`);
+  if (work) work.comments.checked = Array.from(checked);
+  throwIfStopped(work);
+
+  const withComments = Object.values(postComments).filter(c => c.length > 0).length;
+  console.log(`  ✅ ${totalComments} comments from ${withComments} posts`);
+  if (work) completePhase(work, 'comments');
   return postComments;
 }
 
 // ============ AGENT PROFILES ============
 
-async function scrapeAgentProfiles(posts, postComments) {
-  // Collect unique author names from posts and comments
+async function fetchProfile(name) {
+  const fetched_at = new Date().toISOString();
+  try {
+    const data = await scraperFetch('/agents/profile', { name });
+    return {
+      name: data.name || name,
+      karma: data.karma,
+      follower_count: data.follower_count,
+      following_count: data.following_count,
+      created_at: data.created_at,
+      fetched_at,
+    };
+  } catch (e) {
+    // Profile might not exist or be private
+    return { name, error: e.message, fetched_at };
+  }
+}
+
+/**
+ * Unique author names across posts and their comments
+ */
+function collectAuthors(posts, postComments) {
   const authorNames = new Set();
 
   for (const post of posts) {
@@ -136,35 +389,192 @@ async function scrapeAgentProfiles(posts, postComments) {
     }
   }
 
-  console.log(`👤 Scraping ${authorNames.size} agent profiles...`);
-  const profiles = {};
-  let i = 0;
+  return authorNames;
+}
 
-  for (const name of authorNames) {
-    try {
-      const data = await fetchAPI('/agents/profile', { name });
-      profiles[name] = {
-        name: data.name || name,
-        karma: data.karma,
-        follower_count: data.follower_count,
-        following_count: data.following_count,
-        created_at: data.created_at,
-      };
-    } catch (e) {
-      // Profile might not exist or be private
-      profiles[name] = { name, error: e.message };
-    }
-    await sleep(RATE_LIMIT_MS);
-    i++;
-    if (i % 50 === 0) {
-      console.log(`  ${i}/${authorNames.size} profiles...`);
-    }
+/**
+ * Known profiles to refresh during an incremental scrape: every agent active
+ * in this window, plus the `batchSize` least recently fetched others so the
+ * whole set cycles through over successive runs. Profiles without fetched_at
+ * predate refresh tracking and count as oldest.
+ */
+function selectProfilesToRefresh(existingProfiles, activeAuthors, batchSize = PROFILE_REFRESH_BATCH) {
+  const active = Array.from(activeAuthors).filter(name => existingProfiles[name]);
+  const stalest = Object.values(existingProfiles)
+    .filter(p => !activeAuthors.has(p.name))
+    .sort((a, b) => new Date(a.fetched_at || 0) - new Date(b.fetched_at || 0))
+    .slice(0, Math.max(0, batchSize))
+    .map(p => p.name);
+
+  return [...active, ...stalest];
+}
+
+/**
+ * Merge freshly fetched profiles into known ones. A failed refresh keeps the
+ * last good data, and its old fetched_at keeps it at the front of the refresh
+ * queue for the next run.
+ */
+function mergeProfiles(existingProfiles, fetchedProfiles) {
+  const merged = { ...existingProfiles };
+  for (const [name, profile] of Object.entries(fetchedProfiles)) {
+    const previous = existingProfiles[name];
+    merged[name] = profile.error && previous && !previous.error
+      ? { ...previous, refresh_error: profile.error }
+      : profile;
+  }
+  return merged;
+}
+
+async function scrapeAgentProfiles(posts, postComments, work = null) {
+  if (work?.profiles.done) {
+    console.log(`👤 ${Object.keys(work.profiles.byName).length} profiles restored from checkpoint`);
+    return work.profiles.byName;
   }
 
+  const authorNames = collectAuthors(posts, postComments);
+
+  const profiles = work ? work.profiles.byName : {};
+  const pending = Array.from(authorNames).filter(name => !profiles[name]);
+  let done = authorNames.size - pending.length;
+  console.log(done > 0
+    ? `👤 Resuming profiles: ${done}/${authorNames.size} already fetched...`
+    : `👤 Scraping ${authorNames.size} agent profiles (${CONCURRENCY} workers)...`);
+
+  await runPool(pending, CONCURRENCY, async (name) => {
+    if (stopRequested) return;
+    profiles[name] = await fetchProfile(name);
+    done++;
+    reportProgress({ profilesFetched: done, profilesToFetch: authorNames.size });
+    if (done % 50 === 0) {
+      console.log(`  ${done}/${authorNames.size} profiles...`);
+      if (work) saveCheckpoint(work);
+    }
+  });
+
+  throwIfStopped(work);
+
   console.log(`  ✅ ${Object.keys(profiles).length} profiles fetched`);
+  if (work) completePhase(work, 'profiles');
   return profiles;
 }
 
+// ============ SNAPSHOT FORMAT ============
+
+function formatComment(c) {
+  return {
+    id: c.id,
+    parent_id: c.parent_id || null,
+    author: c.author?.name ?? null,
+    body: c.body || c.content || null,
+    upvotes: c.upvote_count ?? c.upvotes ?? null,
+    created: c.created_at ?? null,
+  };
+}
+
+/**
+ * Snapshot shape for a post (see SNAPSHOT_SCHEMA in schema.js). content is the body text, url the target of a
+ * link post. Comments keep their reply structure:
+ * parent_id, depth and ordered reply_ids (see threads.js).
+ */
+function formatPost(p, comments) {
+  const post = {
+    id: p.id,
+    title: p.title ?? null,
+    content: p.content || p.body || null,
+    url: p.url || null,
+    type: p.type || (p.url ? 'link' : 'text'),
+    submolt: p.submolt?.name ?? null,
+    author: p.author?.name ?? null,
+    // The API has returned both field names
+    upvotes: p.upvote_count ?? p.upvotes ?? null,
+    comment_count: p.comment_count ?? null,
+    created: p.created_at ?? null,
+    comments: comments ? formatComments(comments) : [],
+    commentsComplete: threadComplete(p, comments || []),
+  };
+  if (cutOffThreads.has(p.id)) post.commentsCutOff = true;
+  return post;
+}
+
+function formatComments(comments) {
+  return annotateThread(comments.map(formatComment));
+}
+
+/**
+ * Snapshot post for a post seen again this run. A re-fetched thread is merged
+ * into the stored one by comment id; a thread that wasn't fetched keeps its
+ * stored comments.
+ */
+function refreshPost(listed, stored, fetched) {
+  if (!stored) return formatPost(listed, fetched);
+
+  const post = formatPost(listed);
+  if (fetched) {
+    post.comments = mergeComments(stored.comments, fetched.map(formatComment), {
+      complete: threadComplete(listed, fetched),
+    });
+  } else if (listed.comment_count > 0) {
+    post.comments = stored.comments;
+    if (stored.commentsCutOff) post.commentsCutOff = true;
+  }
+  post.commentsComplete = threadComplete(post);
+  return post;
+}
+
+/**
+ * Submolts active in the last day and week, for snapshot stats
+ */
+function countActiveSubmolts(submolts, now = Date.now()) {
+  const day = 24 * 60 * 60 * 1000;
+  const activeWithin = ms => submolts.filter(s =>
+    s.last_activity && (now - new Date(s.last_activity).getTime()) < ms
+  ).length;
+  return { active24h: activeWithin(day), active7d: activeWithin(7 * day) };
+}
+
+function formatSubmolt(s) {
+  return {
+    name: s.name,
+    display_name: s.display_name ?? null,
+    subscribers: s.subscriber_count ?? null,
+    last_activity: s.last_activity_at ?? null,
+    created: s.created_at ?? null,
+  };
+}
+
+/**
+ * Whether a listed post's thread needs re-fetching: its comment count grew
+ * since the stored copy. Counting the comments we hold instead would re-fetch
+ * every thread whose count the API never fills (deleted comments) on every
+ * run; that check is kept for threads whose last fetch was cut short.
+ */
+function threadGrew(listed, stored) {
+  const count = listed.comment_count || 0;
+  if (count > (stored.comment_count || 0)) return true;
+  return stored.commentsCutOff === true && count > stored.comments.length;
+}
+
+// ============ SCRAPE SUMMARY ============
+
+// Posts whose stored comments fall short of their comment_count
+function countIncompleteThreads(posts) {
+  return posts.filter(p => !p.commentsComplete).length;
+}
+
+function logScrapeSummary(stats) {
+  const { requests } = stats;
+  console.log(`\n📡 ${requests.requests} requests, ${requests.retries} retries, ${requests.failures} failed, ${(requests.bytes / 1e6).toFixed(1)} MB`);
+  for (const [endpoint, ep] of Object.entries(requests.byEndpoint)) {
+    console.log(`   ${endpoint}: ${ep.requests} requests, p50 ${ep.latencyMs.p50}ms, p99 ${ep.latencyMs.p99}ms`);
+  }
+  if (!requests.complete) {
+    console.warn('   ⚠️  Partial scrape: some requests failed after retries, snapshot is missing data');
+  }
+  if (stats.incompleteThreads > 0) {
+    console.warn(`   ⚠️  ${stats.incompleteThreads} posts have fewer comments on record than their comment_count`);
+  }
+}
+
 // ============ HEATMAP DATA ============
 
 function buildHeatmapData(posts, postComments) {
@@ -190,85 +600,136 @@ function buildHeatmapData(posts, postComments) {
   return hourCounts.map((count, hour) => ({ hour, activity: count }));
 }
 
+/**
+ * Heatmap for snapshot-format posts (merged runs rebuild it from everything kept)
+ */
+function buildSnapshotHeatmap(posts) {
+  const postComments = {};
+  for (const p of posts) {
+    if (p.comments && p.comments.length > 0) {
+      postComments[p.id] = p.comments.map(c => ({ created_at: c.created }));
+    }
+  }
+  return buildHeatmapData(posts.map(p => ({ created_at: p.created })), postComments);
+}
+
+// ============ REMOVALS ============
+
+function loadExistingSnapshot() {
+  try {
+    return loadLatestSnapshot();
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Posts whose comment threads are known this run: fetched successfully, or
+ * reporting zero comments (nothing to fetch)
+ */
+function commentsKnownFor(posts, postComments) {
+  return new Set(posts
+    .filter(p => !(p.comment_count > 0) || (postComments[p.id] && threadComplete(p, postComments[p.id])))
+    .map(p => p.id));
+}
+
+/**
+ * Store tombstones for this run's removals and note the counts in the snapshot
+ */
+function saveRemovals(removals, previous, snapshot) {
+  const counts = recordRemovals(removals, previous, snapshot);
+  if (counts.posts || counts.comments || counts.submolts) {
+    console.log(`🪦 Removed since last scrape: ${counts.posts} posts, ${counts.comments} comments, ${counts.submolts} submolts`);
+  }
+  snapshot.stats.removedPosts = counts.posts;
+  snapshot.stats.removedComments = counts.comments;
+  snapshot.stats.removedSubmolts = counts.submolts;
+}
+
 // ============ FULL SCRAPE ============
 
-async function runScrape() {
-  const timestamp = new Date().toISOString();
+/**
+ * Full scrape. With a scope ({ submolts, agents }), only those are scraped
+ * and merged into the latest snapshot instead (see runTargetedScrape).
+ */
+async function runScrape({ resume = true, scope = null } = {}) {
+  if (normalizeScope(scope)) return runTargetedScrape(scope);
+
   const now = new Date();
-  console.log(`\n=== Full Moltbook Scrape: ${timestamp} ===\n`);
+  let work = resume ? loadCheckpoint() : null;
+  const resumedFrom = work ? work.phase : null;
+
+  if (work) {
+    console.log(`\n=== Resuming Full Moltbook Scrape: ${work.timestamp} (phase: ${work.phase}) ===\n`);
+  } else {
+    if (!resume) clearCheckpoint();
+    work = newCheckpoint(now.toISOString());
+    saveCheckpoint(work);
+    console.log(`\n=== Full Moltbook Scrape: ${work.timestamp} ===\n`);
+  }
+  const timestamp = work.timestamp;
+  resetRequestStats();
+  const previous = loadExistingSnapshot();
 
   // 1. Submolts
-  const submolts = await scrapeSubmolts();
+  startPhase('submolts');
+  const submolts = await scrapeSubmolts(work);
 
   // 2. All posts
-  const rawPosts = await scrapeAllPosts();
+  startPhase('posts');
+  const rawPosts = await scrapeAllPosts(work);
 
   // 3. Comments for all posts
-  const postComments = await scrapeAllComments(rawPosts);
+  startPhase('comments');
+  const postComments = await scrapeAllComments(rawPosts, work);
 
   // 4. Agent profiles
-  const agentProfiles = await scrapeAgentProfiles(rawPosts, postComments);
+  startPhase('profiles');
+  const agentProfiles = await scrapeAgentProfiles(rawPosts, postComments, work);
 
   // 5. Build heatmap
+  startPhase('snapshot');
   const heatmapData = buildHeatmapData(rawPosts, postComments);
 
-  // 6. Categorize submolts
-  const nowMs = Date.now();
-  const day = 24 * 60 * 60 * 1000;
-  const active24h = submolts.filter(s =>
-    s.last_activity_at && (nowMs - new Date(s.last_activity_at).getTime()) < day
-  );
-  const active7d = submolts.filter(s =>
-    s.last_activity_at && (nowMs - new Date(s.last_activity_at).getTime()) < 7 * day
-  );
+  // 6. Submolts, or the previous snapshot's when the listing failed
+  const formattedSubmolts = submolts ? submolts.map(formatSubmolt) : previous?.submolts || [];
 
   // 7. Build snapshot
+  const posts = rawPosts.map(p => formatPost(p, postComments[p.id]));
   const snapshot = {
+    schemaVersion: SCHEMA_VERSION,
     timestamp,
     stats: {
-      totalSubmolts: submolts.length,
-      active24h: active24h.length,
-      active7d: active7d.length,
+      totalSubmolts: formattedSubmolts.length,
+      ...countActiveSubmolts(formattedSubmolts),
       postsScraped: rawPosts.length,
       commentsScraped: Object.values(postComments).reduce((sum, c) => sum + c.length, 0),
+      incompleteThreads: countIncompleteThreads(posts),
       agentProfilesScraped: Object.keys(agentProfiles).length,
+      resumedFromPhase: resumedFrom,
+      requests: getRequestStats(),
     },
-    submolts: submolts.map(s => ({
-      name: s.name,
-      display_name: s.display_name,
-      subscribers: s.subscriber_count,
-      last_activity: s.last_activity_at,
-      created: s.created_at
-    })),
-    posts: rawPosts.map(p => ({
-      id: p.id,
-      title: p.title,
-      submolt: p.submolt?.name,
-      author: p.author?.name,
-      upvotes: p.upvote_count,
-      comment_count: p.comment_count,
-      created: p.created_at,
-      comments: postComments[p.id] ? postComments[p.id].map(c => ({
-        id: c.id,
-        author: c.author?.name,
-        body: c.body || c.content,
-        upvotes: c.upvote_count,
-        created: c.created_at,
-      })) : [],
-    })),
+    submolts: formattedSubmolts,
+    posts,
     agentProfiles,
     heatmapData,
   };
 
-  // 8. Save
-  const filename = `snapshot-${now.toISOString().replace(/[:.]/g, '-').slice(0, 16)}.json`;
-  fs.writeFileSync(path.join(DATA_DIR, filename), JSON.stringify(snapshot));
-  fs.writeFileSync(path.join(DATA_DIR, 'latest.json'), JSON.stringify({
-    timestamp,
-    file: filename,
-    stats: snapshot.stats
-  }, null, 2));
+  // 8. Removals since the previous snapshot
+  const removals = detectRemovals(previous, snapshot, {
+    postsComplete: !work.posts.truncated,
+    commentsFetched: commentsKnownFor(rawPosts, postComments),
+  });
+  saveRemovals(removals, previous, snapshot);
 
+  // 9. Save as a new base
+  const { filename } = saveSnapshot(snapshot);
+  recordSnapshot(snapshot, filename);
+
+  clearCheckpoint();
+  recordEngagement(snapshot.posts, timestamp);
+
+  logScrapeSummary(snapshot.stats);
   console.log(`\n✅ Snapshot saved: ${filename}`);
   console.log(`   Posts: ${snapshot.stats.postsScraped}, Comments: ${snapshot.stats.commentsScraped}, Profiles: ${snapshot.stats.agentProfilesScraped}`);
   console.log('\n=== Scrape complete ===\n');
@@ -278,96 +739,80 @@ async function runScrape() {
 
 // ============ INCREMENTAL SCRAPE ============
 
-async function runIncrementalScrape() {
+async function runIncrementalScrape({ maxPages = INCREMENTAL_MAX_PAGES } = {}) {
   const timestamp = new Date().toISOString();
   console.log(`\n=== Incremental Moltbook Scrape: ${timestamp} ===\n`);
+  resetRequestStats();
 
   // Load existing snapshot to merge into
-  let existing = null;
-  try {
-    const latestMeta = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'latest.json'), 'utf8'));
-    existing = JSON.parse(fs.readFileSync(path.join(DATA_DIR, latestMeta.file), 'utf8'));
-  } catch (_) {}
+  const existing = loadExistingSnapshot();
+  const parentFile = existing ? readLatest().file : null;
 
   if (!existing) {
     console.log('  No existing snapshot found, falling back to full scrape');
     return runScrape();
   }
 
-  // 1. Fetch recent posts (limit 50)
-  console.log('📝 Fetching recent posts...');
-  let recentPosts = [];
-  try {
-    const data = await fetchAPI('/posts', { sort: 'new', limit: 50 });
-    recentPosts = data.posts || [];
-  } catch (e) {
-    console.error('  Error fetching recent posts:', e.message);
-  }
-  console.log(`  ✅ ${recentPosts.length} recent posts fetched`);
-
-  // 2. Comments for recent posts
-  const postComments = await scrapeAllComments(recentPosts);
-
-  // 3. Find new authors not already in snapshot
-  const existingAuthors = new Set(Object.keys(existing.agentProfiles || {}));
-  const newAuthors = new Set();
-  for (const post of recentPosts) {
-    if (post.author?.name && !existingAuthors.has(post.author.name)) {
-      newAuthors.add(post.author.name);
-    }
-  }
-  for (const comments of Object.values(postComments)) {
-    for (const c of comments) {
-      if (c.author?.name && !existingAuthors.has(c.author.name)) {
-        newAuthors.add(c.author.name);
-      }
-    }
+  // 1. Page through new posts until we reach ones already in the snapshot
+  startPhase('posts');
+  const knownIds = new Set(existing.posts.map(p => p.id));
+  const walk = await scrapeNewPosts(knownIds, maxPages);
+  const recentPosts = walk.posts;
+
+  // 2. A few more listing pages: known posts there whose comment count grew
+  // since the last scrape get their threads re-checked
+  const existingPostMap = new Map(existing.posts.map(p => [p.id, p]));
+  const walkedIds = new Set(recentPosts.map(p => p.id));
+  const listedPosts = walk.reachedKnown && COMMENT_RECHECK_PAGES > 0
+    ? (await scrapeListedPosts(walk.pages * INCREMENTAL_PAGE_SIZE, COMMENT_RECHECK_PAGES))
+      .filter(p => existingPostMap.has(p.id) && !walkedIds.has(p.id))
+    : [];
+  const grownPosts = listedPosts.filter(p => threadGrew(p, existingPostMap.get(p.id)));
+  if (listedPosts.length > 0) {
+    console.log(`  ${listedPosts.length} older posts listed, ${grownPosts.length} with new comments`);
   }
 
-  console.log(`👤 Fetching ${newAuthors.size} new agent profiles...`);
-  const newProfiles = {};
-  for (const name of newAuthors) {
-    try {
-      const data = await fetchAPI('/agents/profile', { name });
-      newProfiles[name] = {
-        name: data.name || name,
-        karma: data.karma,
-        follower_count: data.follower_count,
-        following_count: data.following_count,
-        created_at: data.created_at,
-      };
-    } catch (e) {
-      newProfiles[name] = { name, error: e.message };
-    }
-    await sleep(RATE_LIMIT_MS);
-  }
+  // 3. Comments for recent posts and grown threads
+  startPhase('comments');
+  const postComments = await scrapeAllComments([...recentPosts, ...grownPosts]);
+
+  // 4. Profiles: fetch new authors, refresh active and stalest known ones
+  startPhase('profiles');
+  const existingProfiles = existing.agentProfiles || {};
+  const activeAuthors = collectAuthors([...recentPosts, ...grownPosts], postComments);
+  const newAuthors = Array.from(activeAuthors).filter(name => !existingProfiles[name]);
+  const refreshAuthors = selectProfilesToRefresh(existingProfiles, activeAuthors);
+
+  console.log(`👤 Fetching ${newAuthors.length} new and refreshing ${refreshAuthors.length} known agent profiles...`);
+  const profileNames = [...newAuthors, ...refreshAuthors];
+  const fetchedProfiles = {};
+  await runPool(profileNames, CONCURRENCY, async (name) => {
+    if (stopRequested) return;
+    fetchedProfiles[name] = await fetchProfile(name);
+    reportProgress({ profilesFetched: Object.keys(fetchedProfiles).length, profilesToFetch: profileNames.length });
+  });
 
-  // 4. Update submolts
+  // 5. Update submolts
+  startPhase('submolts');
   const submolts = await scrapeSubmolts();
 
-  // 5. Merge: add new posts, update existing posts if they appear in recent
-  const existingPostMap = new Map();
-  for (const p of existing.posts) {
-    existingPostMap.set(p.id, p);
+  // 6. Merge: add new posts, update the ones listed again, merging comments by id
+  startPhase('snapshot');
+  const seenPosts = [...recentPosts, ...listedPosts];
+  const recentFormatted = seenPosts.map(p => refreshPost(p, existingPostMap.get(p.id), postComments[p.id]));
+  const formattedSubmolts = submolts ? submolts.map(formatSubmolt) : existing.submolts || [];
+
+  // Removals: only the window of posts the walk covered can be checked
+  const walkedCreated = recentFormatted.filter(p => walkedIds.has(p.id)).map(p => p.created).filter(Boolean).sort();
+  const removals = detectRemovals(existing, { posts: recentFormatted, submolts: formattedSubmolts }, {
+    postWindowStart: walkedCreated[0] || null,
+    postsComplete: walkedCreated.length > 0,
+    commentsFetched: commentsKnownFor(seenPosts, postComments),
+  });
+  for (const p of removals.posts) {
+    existingPostMap.delete(p.id);
   }
 
-  const recentFormatted = recentPosts.map(p => ({
-    id: p.id,
-    title: p.title,
-    submolt: p.submolt?.name,
-    author: p.author?.name,
-    upvotes: p.upvote_count,
-    comment_count: p.comment_count,
-    created: p.created_at,
-    comments: postComments[p.id] ? postComments[p.id].map(c => ({
-      id: c.id,
-      author: c.author?.name,
-      body: c.body || c.content,
-      upvotes: c.upvote_count,
-      created: c.created_at,
-    })) : [],
-  }));
-
   // Overwrite/add recent posts into existing
   for (const p of recentFormatted) {
     existingPostMap.set(p.id, p);
@@ -376,78 +821,264 @@ async function runIncrementalScrape() {
   const mergedPosts = Array.from(existingPostMap.values())
     .sort((a, b) => new Date(b.created) - new Date(a.created));
 
-  // Merge profiles
-  const mergedProfiles = { ...existing.agentProfiles, ...newProfiles };
-
-  // Categorize submolts
-  const nowMs = Date.now();
-  const day = 24 * 60 * 60 * 1000;
-  const active24h = submolts.filter(s =>
-    s.last_activity_at && (nowMs - new Date(s.last_activity_at).getTime()) < day
-  );
-  const active7d = submolts.filter(s =>
-    s.last_activity_at && (nowMs - new Date(s.last_activity_at).getTime()) < 7 * day
-  );
+  const mergedProfiles = mergeProfiles(existingProfiles, fetchedProfiles);
+  const fetchedTimes = Object.values(mergedProfiles).map(p => p.fetched_at).filter(Boolean).sort();
 
   // Build heatmap from merged posts
-  const mergedPostComments = {};
-  for (const p of mergedPosts) {
-    if (p.comments && p.comments.length > 0) {
-      mergedPostComments[p.id] = p.comments;
+  const heatmapData = buildSnapshotHeatmap(mergedPosts);
+
+  const snapshot = {
+    schemaVersion: SCHEMA_VERSION,
+    timestamp,
+    stats: {
+      totalSubmolts: formattedSubmolts.length,
+      ...countActiveSubmolts(formattedSubmolts),
+      postsScraped: mergedPosts.length,
+      commentsScraped: mergedPosts.reduce((sum, p) => sum + (p.comments?.length || 0), 0),
+      incompleteThreads: countIncompleteThreads(mergedPosts),
+      agentProfilesScraped: Object.keys(mergedProfiles).length,
+      incrementalNewPosts: walk.newCount,
+      incrementalNewProfiles: newAuthors.length,
+      incrementalRefreshedProfiles: refreshAuthors.length,
+      oldestProfileFetchedAt: fetchedTimes[0] || null,
+      profilesWithoutFetchedAt: Object.keys(mergedProfiles).length - fetchedTimes.length,
+      incrementalPagesWalked: walk.pages,
+      incrementalPostsWalked: recentPosts.length,
+      incrementalReachedKnown: walk.reachedKnown,
+      incrementalHitPageCap: walk.hitPageCap,
+      incrementalPostsRelisted: listedPosts.length,
+      incrementalThreadsRechecked: grownPosts.length,
+      requests: getRequestStats(),
+    },
+    submolts: formattedSubmolts,
+    posts: mergedPosts,
+    agentProfiles: mergedProfiles,
+    heatmapData,
+  };
+
+  saveRemovals(removals, existing, snapshot);
+
+  // Save as a delta against the snapshot we merged into
+  const { filename, kind } = saveSnapshot(snapshot, { parent: parentFile, parentSnapshot: existing });
+  recordSnapshot(snapshot, filename);
+
+  // Only posts listed this run have fresh counts; merged-in older posts would repeat stale values
+  recordEngagement(recentFormatted, timestamp);
+
+  logScrapeSummary(snapshot.stats);
+  console.log(`\n✅ Incremental snapshot saved: ${filename} (${kind})`);
+  console.log(`   Merged posts: ${mergedPosts.length}, New posts: ${walk.newCount} (${walk.pages} pages), New profiles: ${newAuthors.length}, Refreshed: ${refreshAuthors.length}`);
+  console.log('\n=== Incremental scrape complete ===\n');
+
+  return snapshot;
+}
+
+// ============ TARGETED SCRAPE ============
+
+/**
+ * Normalize a scope to { submolts, agents } with duplicates and blanks
+ * dropped. Returns null for an empty scope.
+ */
+function normalizeScope(scope) {
+  if (!scope) return null;
+  const clean = names => Array.from(new Set((names || []).map(n => String(n).trim()).filter(Boolean)));
+  // Submolt names are lowercase; fold case before dropping duplicates
+  const submolts = clean((scope.submolts || []).map(n => String(n).toLowerCase()));
+  const agents = clean(scope.agents);
+  return submolts.length || agents.length ? { submolts, agents } : null;
+}
+
+/**
+ * Parse a scope string like "submolt:general,agent:Foo" (also "m/general",
+ * "u/Foo"). Throws on anything else.
+ */
+function parseScope(value) {
+  const scope = { submolts: [], agents: [] };
+  for (const part of String(value || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(submolt:|m\/|agent:|u\/)(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid scope "${part}": use submolt:<name> or agent:<name>`);
     }
+    (match[1] === 'submolt:' || match[1] === 'm/' ? scope.submolts : scope.agents).push(match[2]);
   }
-  const heatmapData = buildHeatmapData(
-    mergedPosts.map(p => ({ created_at: p.created })),
-    mergedPostComments
+  return normalizeScope(scope);
+}
+
+/**
+ * Re-scrape only some submolts and/or agents and merge the result into the
+ * latest snapshot. Submolts get every post, their comments and any new
+ * authors' profiles. Agents get their profile, new posts from the front of
+ * the feed, and fresh comments on their posts already in the snapshot (the
+ * API has no per-agent listing, so their older posts keep their old counts).
+ */
+async function runTargetedScrape(scope) {
+  scope = normalizeScope(scope);
+  if (!scope) throw new Error('Targeted scrape needs at least one submolt or agent');
+
+  const timestamp = new Date().toISOString();
+  const label = [...scope.submolts.map(n => `m/${n}`), ...scope.agents.map(n => `u/${n}`)].join(', ');
+  console.log(`\n=== Targeted Moltbook Scrape: ${timestamp} (${label}) ===\n`);
+  resetRequestStats();
+
+  const existing = loadExistingSnapshot();
+  if (!existing) {
+    throw new Error('Targeted scrape needs an existing snapshot to merge into. Run a full scrape first.');
+  }
+  const parentFile = readLatest().file;
+  const scopeSubmolts = new Set(scope.submolts);
+  const scopeAgents = new Set(scope.agents);
+  const inScope = p => scopeSubmolts.has(p.submolt) || scopeAgents.has(p.author);
+
+  // 1. Submolt listings and the posts in them
+  startPhase('posts');
+  const allSubmolts = scope.submolts.length > 0 ? (await scrapeSubmolts()) || [] : [];
+  const freshSubmolts = allSubmolts.filter(s => scopeSubmolts.has(s.name)).map(formatSubmolt);
+  for (const name of scope.submolts) {
+    if (allSubmolts.length > 0 && !freshSubmolts.some(s => s.name === name)) {
+      console.warn(`  ⚠️  m/${name} not found`);
+    }
+  }
+
+  const rawPosts = [];
+  let submoltPostsComplete = scope.submolts.length > 0;
+  for (const name of scope.submolts) {
+    console.log(`📝 Scraping posts in m/${name}...`);
+    const { posts, truncated } = await scrapeSubmoltPosts(name);
+    console.log(`  ✅ ${posts.length} posts`);
+    rawPosts.push(...posts);
+    reportProgress({ postsPaged: rawPosts.length });
+    if (truncated) submoltPostsComplete = false;
+  }
+
+  // 2. New posts by the agents, from the front of the feed
+  if (scope.agents.length > 0) {
+    const knownIds = new Set(existing.posts.map(p => p.id));
+    const walk = await scrapeNewPosts(knownIds);
+    const seen = new Set(rawPosts.map(p => p.id));
+    rawPosts.push(...walk.posts.filter(p => scopeAgents.has(p.author?.name) && !seen.has(p.id)));
+  }
+
+  // 3. Comments: scraped posts, plus the agents' posts we already have
+  startPhase('comments');
+  const rawIds = new Set(rawPosts.map(p => p.id));
+  const knownAgentPosts = existing.posts.filter(p => scopeAgents.has(p.author) && !rawIds.has(p.id));
+  const postComments = await scrapeAllComments([...rawPosts, ...knownAgentPosts]);
+
+  // 4. Profiles: the agents, and authors we haven't seen before
+  startPhase('profiles');
+  const existingProfiles = existing.agentProfiles || {};
+  const newAuthors = Array.from(collectAuthors(rawPosts, postComments)).filter(name => !existingProfiles[name]);
+  const profileNames = Array.from(new Set([...scope.agents, ...newAuthors]));
+  console.log(`👤 Fetching ${profileNames.length} agent profiles...`);
+  const fetchedProfiles = {};
+  await runPool(profileNames, CONCURRENCY, async (name) => {
+    if (stopRequested) return;
+    fetchedProfiles[name] = await fetchProfile(name);
+    reportProgress({ profilesFetched: Object.keys(fetchedProfiles).length, profilesToFetch: profileNames.length });
+  });
+
+  // 5. Merge into the latest snapshot
+  startPhase('snapshot');
+  const postMap = new Map(existing.posts.map(p => [p.id, p]));
+  const scrapedPosts = [
+    ...rawPosts.map(p => refreshPost(p, postMap.get(p.id), postComments[p.id])),
+    ...knownAgentPosts.map(({ commentsCutOff, ...p }) => {
+      const cutOff = cutOffThreads.has(p.id) || (!postComments[p.id] && commentsCutOff);
+      if (!postComments[p.id]) return cutOff ? { ...p, commentsCutOff: true } : p;
+      const comments = mergeComments(p.comments, postComments[p.id].map(formatComment), {
+        complete: threadComplete(p, postComments[p.id]),
+      });
+      const post = { ...p, comments, commentsComplete: threadComplete(p, comments) };
+      if (cutOff) post.commentsCutOff = true;
+      return post;
+    }),
+  ];
+
+  // Removals: posts only within fully listed submolts (the agents' known
+  // posts are all carried over), comments wherever re-fetched
+  const removals = detectRemovals(
+    { posts: existing.posts.filter(inScope), submolts: [] },
+    { posts: scrapedPosts, submolts: [] },
+    {
+      postsComplete: submoltPostsComplete,
+      commentsFetched: commentsKnownFor([...rawPosts, ...knownAgentPosts], postComments),
+    }
   );
 
+  removals.posts.forEach(p => postMap.delete(p.id));
+  scrapedPosts.forEach(p => postMap.set(p.id, p));
+  const mergedPosts = Array.from(postMap.values())
+    .sort((a, b) => new Date(b.created) - new Date(a.created));
+
+  const freshByName = new Map(freshSubmolts.map(s => [s.name, s]));
+  const mergedSubmolts = (existing.submolts || []).map(s => freshByName.get(s.name) || s);
+  for (const s of freshSubmolts) {
+    if (!mergedSubmolts.some(m => m.name === s.name)) mergedSubmolts.push(s);
+  }
+
+  const mergedProfiles = mergeProfiles(existingProfiles, fetchedProfiles);
+
   const snapshot = {
+    schemaVersion: SCHEMA_VERSION,
     timestamp,
     stats: {
-      totalSubmolts: submolts.length,
-      active24h: active24h.length,
-      active7d: active7d.length,
+      totalSubmolts: mergedSubmolts.length,
+      // Activity counts need every submolt, so they carry over until the next full or incremental scrape
+      active24h: existing.stats.active24h,
+      active7d: existing.stats.active7d,
       postsScraped: mergedPosts.length,
       commentsScraped: mergedPosts.reduce((sum, p) => sum + (p.comments?.length || 0), 0),
+      incompleteThreads: countIncompleteThreads(mergedPosts),
       agentProfilesScraped: Object.keys(mergedProfiles).length,
-      incrementalNewPosts: recentPosts.length,
-      incrementalNewProfiles: newAuthors.size,
+      targetedScope: scope,
+      targetedPostsScraped: scrapedPosts.length,
+      targetedProfilesScraped: profileNames.length,
+      requests: getRequestStats(),
     },
-    submolts: submolts.map(s => ({
-      name: s.name,
-      display_name: s.display_name,
-      subscribers: s.subscriber_count,
-      last_activity: s.last_activity_at,
-      created: s.created_at
-    })),
+    submolts: mergedSubmolts,
     posts: mergedPosts,
     agentProfiles: mergedProfiles,
-    heatmapData,
+    heatmapData: buildSnapshotHeatmap(mergedPosts),
   };
 
-  // Save
-  const now = new Date();
-  const filename = `snapshot-${now.toISOString().replace(/[:.]/g, '-').slice(0, 16)}.json`;
-  fs.writeFileSync(path.join(DATA_DIR, filename), JSON.stringify(snapshot));
-  fs.writeFileSync(path.join(DATA_DIR, 'latest.json'), JSON.stringify({
-    timestamp,
-    file: filename,
-    stats: snapshot.stats
-  }, null, 2));
+  saveRemovals(removals, existing, snapshot);
 
-  console.log(`\n✅ Incremental snapshot saved: ${filename}`);
-  console.log(`   Merged posts: ${mergedPosts.length}, New profiles: ${newAuthors.size}`);
-  console.log('\n=== Incremental scrape complete ===\n');
+  const { filename, kind } = saveSnapshot(snapshot, { parent: parentFile, parentSnapshot: existing });
+  recordSnapshot(snapshot, filename);
+  recordEngagement(scrapedPosts, timestamp);
+
+  logScrapeSummary(snapshot.stats);
+  console.log(`\n✅ Targeted snapshot saved: ${filename} (${kind})`);
+  console.log(`   Scraped posts: ${scrapedPosts.length}, Profiles: ${profileNames.length}, Merged posts: ${mergedPosts.length}`);
+  console.log('\n=== Targeted scrape complete ===\n');
 
   return snapshot;
 }
 
 // Run if called directly
 if (require.main === module) {
-  runScrape().catch(e => {
-    console.error('Scrape failed:', e);
+  const args = process.argv.slice(2);
+  // --submolt and --agent may repeat or take comma-separated names
+  const values = flag => args
+    .flatMap((arg, i) => (arg === flag && args[i + 1] ? args[i + 1].split(',') : []));
+  const scope = normalizeScope({ submolts: values('--submolt'), agents: values('--agent') });
+
+  try {
+    getKeyPool();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  // Holds data/scrape.lock so a running server's scheduler can't scrape at the same time
+  withScrapeLock(scope ? 'CLI targeted scrape' : 'CLI full scrape', () => runScrape({ scope })).catch(e => {
+    if (e instanceof ScrapeLockedError) {
+      console.error(`❌ ${e.message}`);
+    } else {
+      console.error('Scrape failed:', e);
+    }
     process.exit(1);
   });
 }
 
-module.exports = { runScrape, runIncrementalScrape, fetchAPI, scrapeSubmolts, scrapeAllPosts, scrapeAllComments, scrapeAgentProfiles, buildHeatmapData };
+module.exports = { runScrape, runIncrementalScrape, runTargetedScrape, parseScope, requestStop, ScrapeStopped, fetchAPI, scrapeSubmolts, scrapeAllPosts, scrapeNewPosts, scrapeSubmoltPosts, scrapeAllComments, scrapeAgentProfiles, selectProfilesToRefresh, mergeProfiles, buildHeatmapData, formatPost, threadGrew };
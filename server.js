@@ -7,6 +7,7 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const metrics = require('./metrics.js');
 
 // Import analytics modules
 const { 
@@ -19,8 +20,7 @@ const {
 
 const { 
   findRisingSpots, 
-  getSnapshotFiles, 
-  loadSnapshot 
+  loadRecentSnapshots 
 } = require('./rising.js');
 
 const { 
@@ -43,12 +43,51 @@ const {
   formatWeeklyRollup 
 } = require('./rollup.js');
 
+const {
+  getPostThread
+} = require('./threads.js');
+
+const {
+  getPostHistory
+} = require('./engagement.js');
+
+const {
+  getRemovals
+} = require('./tombstones.js');
+
+const {
+  getLatestSnapshot,
+  getPosts,
+  getComments,
+  getPostsScope,
+  invalidate
+} = require('./repository.js');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 app.use(cors());
 app.use(express.json());
 
+// ============ REQUEST METRICS ============
+
+const httpRequests = metrics.counter(
+  'moltwatch_http_requests_total', 'HTTP requests served by route and status code', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram(
+  'moltwatch_http_request_duration_seconds', 'HTTP request latency (SSE streams count until they close)', ['method', 'route']);
+
+// Labelled by route pattern, not URL, so /api/posts/:id/thread is one series
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on('close', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+});
+
 // ============ API ENDPOINTS ============
 
 // Health check
@@ -60,13 +99,22 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Moltbook API and HTTP request metrics in Prometheus text format
+app.get('/metrics', (req, res) => {
+  try {
+    res.type(metrics.CONTENT_TYPE).send(metrics.renderMetrics());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Knowledge graph summary
 app.get('/api/graph', (req, res) => {
   try {
     const graph = loadOrBuildGraph();
     const stats = getGraphStats();
     
-    const topAgents = graph.nodes.agents
+    const topAgents = [...graph.nodes.agents]
       .sort((a, b) => b.postCount - a.postCount)
       .slice(0, 10)
       .map(a => ({
@@ -75,7 +123,7 @@ app.get('/api/graph', (req, res) => {
         submoltCount: a.submolts.length
       }));
     
-    const topSubmolts = graph.nodes.submolts
+    const topSubmolts = [...graph.nodes.submolts]
       .sort((a, b) => b.agents.length - a.agents.length)
       .slice(0, 10)
       .map(s => ({
@@ -126,27 +174,21 @@ app.get('/api/graph/agent/:name', (req, res) => {
 // Rising spots
 app.get('/api/rising', (req, res) => {
   try {
-    const snapshotFiles = getSnapshotFiles();
+    const snapshots = loadRecentSnapshots();
     
-    if (snapshotFiles.length < 2) {
+    if (snapshots.length < 2) {
       return res.json({
         message: 'Need at least 2 snapshots to detect rising spots',
         risingSpots: []
       });
     }
     
-    const newerSnapshot = loadSnapshot(snapshotFiles[0]);
-    const olderSnapshot = loadSnapshot(snapshotFiles[1]);
-    
-    if (!newerSnapshot || !olderSnapshot) {
-      return res.status(500).json({ error: 'Failed to load snapshots' });
-    }
-    
+    const [newerSnapshot, olderSnapshot] = snapshots;
     const risingSpots = findRisingSpots(newerSnapshot, olderSnapshot);
     
     res.json({
-      newerSnapshot: path.basename(snapshotFiles[0]),
-      olderSnapshot: path.basename(snapshotFiles[1]),
+      newerSnapshot: newerSnapshot.file,
+      olderSnapshot: olderSnapshot.file,
       risingSpots
     });
   } catch (error) {
@@ -188,8 +230,7 @@ app.get('/api/heatmap', (req, res) => {
     // Try to load heatmap data from latest snapshot
     let hourlyActivity;
     try {
-      const latestMeta = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'latest.json'), 'utf8'));
-      const snapshot = JSON.parse(fs.readFileSync(path.join(DATA_DIR, latestMeta.file), 'utf8'));
+      const snapshot = getLatestSnapshot();
       if (snapshot.heatmapData && snapshot.heatmapData.length === 24) {
         hourlyActivity = snapshot.heatmapData;
       }
@@ -198,8 +239,7 @@ app.get('/api/heatmap', (req, res) => {
     // Fallback: compute from snapshot posts/comments if heatmapData not present
     if (!hourlyActivity) {
       try {
-        const latestMeta = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'latest.json'), 'utf8'));
-        const snapshot = JSON.parse(fs.readFileSync(path.join(DATA_DIR, latestMeta.file), 'utf8'));
+        const snapshot = getLatestSnapshot();
         const counts = new Array(24).fill(0);
         if (snapshot.posts) {
           for (const p of snapshot.posts) {
@@ -305,6 +345,86 @@ app.get('/api/reputation/:agentName', (req, res) => {
   }
 });
 
+// Threaded comments for a post from the latest snapshot
+app.get('/api/posts/:id/thread', (req, res) => {
+  try {
+    const thread = getPostThread(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: `Post '${req.params.id}' not found` });
+    }
+    res.json(thread);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Engagement time series and derived metrics for a post
+app.get('/api/posts/:id/history', (req, res) => {
+  try {
+    const history = getPostHistory(req.params.id);
+    if (!history) {
+      return res.status(404).json({ error: `No engagement history for post '${req.params.id}'` });
+    }
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The since/until query parameter that isn't a valid time, if any
+function invalidTimeParam(query) {
+  return ['since', 'until'].find(key => query[key] !== undefined && isNaN(new Date(query[key])));
+}
+
+// Posts by time range, submolt or author — newest first
+app.get('/api/posts', (req, res) => {
+  try {
+    const { since, until, submolt, author, limit: rawLimit, offset } = req.query;
+    const invalid = invalidTimeParam(req.query);
+    if (invalid) return res.status(400).json({ error: `Invalid ${invalid}: ${req.query[invalid]}` });
+
+    const limit = Math.min(parseInt(rawLimit) || 100, 500);
+    const posts = getPosts({ since, until, submolt, author, limit, offset: parseInt(offset) || 0 });
+    res.json({ count: posts.length, scope: getPostsScope(), posts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Comments by post, author or time range — newest first
+app.get('/api/comments', (req, res) => {
+  try {
+    const { post, author, since, until, limit: rawLimit, offset } = req.query;
+    const invalid = invalidTimeParam(req.query);
+    if (invalid) return res.status(400).json({ error: `Invalid ${invalid}: ${req.query[invalid]}` });
+
+    const limit = Math.min(parseInt(rawLimit) || 100, 500);
+    const comments = getComments({ postId: post, author, since, until, limit, offset: parseInt(offset) || 0 });
+    res.json({ count: comments.length, scope: getPostsScope(), comments });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Removed posts, comments and submolts — newest first
+app.get('/api/removed', (req, res) => {
+  try {
+    const { type, since, limit: rawLimit } = req.query;
+    if (type && !['post', 'comment', 'submolt', 'posts', 'comments', 'submolts'].includes(type)) {
+      return res.status(400).json({ error: 'type must be post, comment or submolt' });
+    }
+
+    const invalid = invalidTimeParam(req.query);
+    if (invalid) return res.status(400).json({ error: `Invalid ${invalid}: ${req.query[invalid]}` });
+
+    const limit = Math.min(parseInt(rawLimit) || 100, 500);
+    const removals = getRemovals({ type, since, limit });
+    res.json({ count: removals.length, removals });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============ DASHBOARD ============
 
 app.get('/', (req, res) => {
@@ -628,10 +748,16 @@ app.get('/', (req, res) => {
         // Cache for filtering
         let cachedSubmolts = [];
         
+        // Live progress of the running scrape, from /api/scrape/events
+        let scrapeProgress = null;
+        // Last /api/scrape/status response
+        let scrapeStatus = null;
+        
         // Load initial data
         window.addEventListener('load', () => {
             refreshAll();
             setInterval(refreshAll, REFRESH_INTERVAL);
+            watchScrapeEvents();
         });
         
         function refreshAll() {
@@ -648,16 +774,54 @@ app.get('/', (req, res) => {
         async function loadScrapeStatus() {
             try {
                 const response = await fetch(API_BASE + '/api/scrape/status');
-                const data = await response.json();
-                const el = document.getElementById('scrapeStatus');
-                const lastScraped = data.lastScrape 
-                    ? new Date(data.lastScrape).toLocaleString() 
-                    : 'Never';
-                const status = data.scrapeInProgress ? ' ⏳ Scrape in progress...' : '';
-                el.innerHTML = '🕐 Last scraped: <strong>' + lastScraped + '</strong>' + status + ' · Auto-refreshes every 60s';
+                scrapeStatus = await response.json();
+                renderScrapeStatus();
             } catch (_) {}
         }
         
+        function renderScrapeStatus() {
+            if (!scrapeStatus) return;
+            const el = document.getElementById('scrapeStatus');
+            const lastScraped = scrapeStatus.lastScrape 
+                ? new Date(scrapeStatus.lastScrape).toLocaleString() 
+                : 'Never';
+            const status = scrapeProgress
+                ? ' ⏳ ' + describeScrapeProgress(scrapeProgress)
+                : scrapeStatus.scrapeInProgress ? ' ⏳ Scrape in progress...' : '';
+            el.innerHTML = '🕐 Last scraped: <strong>' + lastScraped + '</strong>' + status + ' · Auto-refreshes every 60s';
+        }
+        
+        function describeScrapeProgress(event) {
+            const p = event.progress || {};
+            const parts = [];
+            if (p.postsPaged !== undefined) parts.push(p.postsPaged.toLocaleString() + ' posts');
+            if (p.postsChecked !== undefined) {
+                parts.push(p.commentsFetched.toLocaleString() + ' comments (' + p.postsChecked + '/' + p.postsToCheck + ' threads)');
+            }
+            if (p.profilesFetched !== undefined) parts.push(p.profilesFetched + '/' + p.profilesToFetch + ' profiles');
+            const phase = event.phase ? ' · ' + event.phase : '';
+            return event.mode + ' scrape' + phase + (parts.length ? ': ' + parts.join(', ') : '...');
+        }
+        
+        // Follow scrape progress live; EventSource reconnects on its own.
+        // Progress is rendered from the events; status is only re-fetched
+        // when a scrape starts or finishes.
+        function watchScrapeEvents() {
+            if (!window.EventSource) return;
+            const events = new EventSource(API_BASE + '/api/scrape/events');
+            const update = (e) => {
+                const data = JSON.parse(e.data);
+                scrapeProgress = e.type === 'status' ? data.current : data;
+                if (e.type === 'started') loadScrapeStatus();
+                else renderScrapeStatus();
+            };
+            ['status', 'started', 'phase', 'progress'].forEach(type => events.addEventListener(type, update));
+            events.addEventListener('finished', () => {
+                scrapeProgress = null;
+                refreshAll();
+            });
+        }
+        
         // Handle Enter key in search
         document.getElementById('agentSearch').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -928,58 +1092,145 @@ app.get('/', (req, res) => {
 const fs = require('fs');
 const DATA_DIR = path.join(__dirname, 'data');
 const MIN_SCRAPE_INTERVAL = 60 * 60 * 1000; // 1 hour minimum between manual triggers
+const SSE_HEARTBEAT_MS = 25000;
 
-const { runScrape, runIncrementalScrape } = require('./scraper.js');
+const { runScrape, runIncrementalScrape, parseScope, requestStop, ScrapeStopped } = require('./scraper.js');
+const { describeCheckpoint } = require('./checkpoint.js');
+const { planRetention, applyRetention, describePlan } = require('./retention.js');
+const {
+  startJob,
+  startPhase,
+  finishJob,
+  getCurrentJob,
+  describeCurrentJob,
+  getJob,
+  listJobs,
+  jobEvents,
+} = require('./jobs.js');
+const {
+  loadSchedule,
+  loadSchedulerState,
+  recordScrape,
+  nextCronTime,
+  nextScheduledRun,
+  planStartupScrape,
+} = require('./scheduler.js');
+const { sleep } = require('./pool.js');
+const { getKeyPool, getBudget, getRequestStats } = require('./api.js');
+const { acquireScrapeLock, withScrapeLock, describeScrapeLock, ScrapeLockedError } = require('./lock.js');
 
-const INCREMENTAL_INTERVAL = 2 * 60 * 60 * 1000;  // 2 hours
-const FULL_SCRAPE_INTERVAL = 24 * 60 * 60 * 1000;  // 24 hours
+const SCHEDULE = loadSchedule(); // SCRAPE_FULL_CRON, SCRAPE_INCREMENTAL_CRON
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000;
+const AUTO_PRUNE = process.env.RETENTION_AUTO_PRUNE !== '0'; // apply retention after each full scrape
 
-let lastFullScrape = null;
-let lastIncrementalScrape = null;
-let lastScrapeTime = null;
+// Restored from data/scheduler.json so restarts keep the schedule
+const schedulerState = loadSchedulerState();
+const toDate = iso => (iso ? new Date(iso) : null);
+let lastFullScrape = toDate(schedulerState.lastFullScrape);
+let lastIncrementalScrape = toDate(schedulerState.lastIncrementalScrape);
+let lastTargetedScrape = toDate(schedulerState.lastTargetedScrape);
+let lastScrapeTime = [lastFullScrape, lastIncrementalScrape].filter(Boolean).sort((a, b) => b - a)[0] || null;
 let scrapeInProgress = false;
 
-async function scrapeAndRebuild(mode = 'incremental') {
-  if (scrapeInProgress) return { status: 'already_running' };
+async function scrapeAndRebuild(mode = 'incremental', { resume = true, scope = null } = {}) {
+  if (scrapeInProgress) return { status: 'already_running', job: getCurrentJob()?.id || null };
+
+  // data/scrape.lock keeps out scrapes run from the CLI, and other servers sharing data/
+  let lock;
+  try {
+    lock = acquireScrapeLock(`server ${mode} scrape`);
+  } catch (e) {
+    if (e instanceof ScrapeLockedError) {
+      console.warn(`⏭️  Skipping ${mode} scrape: ${e.message}`);
+      return { status: 'already_running', job: null, lock: describeScrapeLock() };
+    }
+    // e.g. data/ not writable: fail this run, keep the server and schedule going
+    console.error(`Can't take the scrape lock, skipping ${mode} scrape:`, e.message);
+    return { status: 'error', message: `Can't take the scrape lock: ${e.message}`, job: null };
+  }
+
   scrapeInProgress = true;
+  const job = startJob(mode, mode === 'targeted' ? { scope } : mode === 'full' ? { resume } : {});
   
   try {
     const isFull = mode === 'full';
-    console.log(`🔄 Starting ${isFull ? 'full' : 'incremental'} scrape...`);
-    const snapshot = isFull ? await runScrape() : await runIncrementalScrape();
+    console.log(`🔄 Starting ${mode} scrape...`);
+    const snapshot = mode === 'targeted' ? await runScrape({ scope })
+      : isFull ? await runScrape({ resume }) : await runIncrementalScrape();
     
     if (!snapshot || !snapshot.posts || snapshot.posts.length === 0) {
       scrapeInProgress = false;
-      return { status: 'error', message: 'No posts fetched' };
+      finishJob(job, { status: 'error', error: 'No posts fetched', requests: getRequestStats() });
+      return { status: 'error', message: 'No posts fetched', job: job.id };
     }
     
-    // Force rebuild graph by deleting cached graph
+    // Force rebuild graph by deleting cached graph, on disk and in memory
+    startPhase('graph');
     const graphPath = path.join(DATA_DIR, 'graph.json');
     if (fs.existsSync(graphPath)) fs.unlinkSync(graphPath);
+    invalidate();
     
     // Trigger rebuild
     loadOrBuildGraph();
     
+    // Targeted scrapes don't count towards the schedule or the manual trigger limit
     const now = new Date();
-    lastScrapeTime = now;
-    if (isFull) {
-      lastFullScrape = now;
+    if (mode === 'targeted') {
+      lastTargetedScrape = now;
     } else {
-      lastIncrementalScrape = now;
+      lastScrapeTime = now;
+      if (isFull) {
+        lastFullScrape = now;
+      } else {
+        lastIncrementalScrape = now;
+      }
+    }
+    recordScrape(mode, now);
+    
+    if (isFull && AUTO_PRUNE) {
+      startPhase('retention');
+      try {
+        pruneSnapshots();
+      } catch (e) {
+        console.error('Retention failed:', e.message);
+      }
     }
-    scrapeInProgress = false;
     
     const snapshotCount = fs.readdirSync(DATA_DIR).filter(f => f.startsWith('snapshot-')).length;
-    console.log(`✅ ${isFull ? 'Full' : 'Incremental'} scrape complete: ${snapshot.stats.postsScraped} posts, ${snapshot.stats.commentsScraped} comments, ${snapshot.stats.agentProfilesScraped} profiles`);
+    console.log(`✅ ${mode[0].toUpperCase()}${mode.slice(1)} scrape complete: ${snapshot.stats.postsScraped} posts, ${snapshot.stats.commentsScraped} comments, ${snapshot.stats.agentProfilesScraped} profiles`);
+    finishJob(job, { counts: jobCounts(snapshot.stats), requests: snapshot.stats.requests });
+    scrapeInProgress = false;
     
-    return { status: 'ok', mode: isFull ? 'full' : 'incremental', stats: snapshot.stats, snapshots: snapshotCount, timestamp: snapshot.timestamp };
+    return { status: 'ok', mode, job: job.id, stats: snapshot.stats, snapshots: snapshotCount, timestamp: snapshot.timestamp };
   } catch (e) {
+    const stopped = e instanceof ScrapeStopped;
+    if (stopped) {
+      console.log(`⏹️  ${mode[0].toUpperCase()}${mode.slice(1)} scrape stopped`);
+    } else {
+      console.error('Scrape failed:', e.message);
+    }
+    finishJob(job, { status: stopped ? 'stopped' : 'error', error: e.message, requests: getRequestStats() });
     scrapeInProgress = false;
-    console.error('Scrape failed:', e.message);
-    return { status: 'error', message: e.message };
+    return { status: 'error', message: e.message, job: job.id };
+  } finally {
+    lock.release();
   }
 }
 
+// Counts recorded with a finished job
+function jobCounts(stats) {
+  return {
+    posts: stats.postsScraped,
+    comments: stats.commentsScraped,
+    incompleteThreads: stats.incompleteThreads ?? null,
+    profiles: stats.agentProfilesScraped,
+    newPosts: stats.incrementalNewPosts ?? stats.targetedPostsScraped ?? null,
+    requests: stats.requests?.requests ?? null,
+    retries: stats.requests?.retries ?? null,
+    failedRequests: stats.requests?.failures ?? null,
+  };
+}
+
 // Scrape status endpoint
 app.get('/api/scrape/status', (req, res) => {
   const snapshotCount = fs.existsSync(DATA_DIR) 
@@ -990,51 +1241,234 @@ app.get('/api/scrape/status', (req, res) => {
     lastScrape: lastScrapeTime?.toISOString() || null,
     lastFullScrape: lastFullScrape?.toISOString() || null,
     lastIncrementalScrape: lastIncrementalScrape?.toISOString() || null,
-    nextFullScrape: lastFullScrape 
-      ? new Date(lastFullScrape.getTime() + FULL_SCRAPE_INTERVAL).toISOString() 
-      : 'pending startup scrape',
-    nextIncrementalScrape: lastIncrementalScrape 
-      ? new Date(lastIncrementalScrape.getTime() + INCREMENTAL_INTERVAL).toISOString() 
-      : lastFullScrape
-        ? new Date(lastFullScrape.getTime() + INCREMENTAL_INTERVAL).toISOString()
-        : 'pending startup scrape',
+    lastTargetedScrape: lastTargetedScrape?.toISOString() || null,
+    nextFullScrape: nextCronTime(SCHEDULE.full)?.toISOString() || null,
+    nextIncrementalScrape: nextCronTime(SCHEDULE.incremental)?.toISOString() || null,
     scrapeInProgress,
+    currentJob: getCurrentJob()?.id || null,
+    scrapeLock: describeScrapeLock(),
+    apiKeys: getKeyPool().describe(),
+    apiBudget: getBudget().describe(),
+    pendingCheckpoint: describeCheckpoint(),
     snapshotCount,
-    incrementalIntervalHours: INCREMENTAL_INTERVAL / 3600000,
-    fullScrapeIntervalHours: FULL_SCRAPE_INTERVAL / 3600000
+    schedule: {
+      full: SCHEDULE.full.expression,
+      incremental: SCHEDULE.incremental.expression,
+    },
   });
 });
 
-// Manual scrape trigger
-app.post('/api/scrape/trigger', async (req, res) => {
+// Start a scrape in the background and answer with its job id right away.
+// Progress is streamed on /api/scrape/events and kept in /api/scrape/jobs/:id.
+function startScrape(res, mode, options) {
+  if (shuttingDown) {
+    return res.status(503).json({ error: 'Server is shutting down' });
+  }
+  if (scrapeInProgress) {
+    return res.status(409).json({ status: 'already_running', job: getCurrentJob()?.id || null });
+  }
+  const run = scrapeAndRebuild(mode, options);
+  const job = getCurrentJob();
+  // Not started: another process holds the scrape lock, or it couldn't be taken.
+  // scrapeAndRebuild has already returned why.
+  if (!job) {
+    return run.then(result => res.status(result.status === 'already_running' ? 409 : 500).json(result));
+  }
+  res.status(202).json({
+    status: 'started',
+    mode,
+    job: job.id,
+    events: '/api/scrape/events',
+    result: `/api/scrape/jobs/${job.id}`,
+  });
+}
+
+// Manual scrape trigger. ?scope=submolt:x,agent:y scrapes only those and
+// isn't rate limited like full and incremental triggers.
+app.post('/api/scrape/trigger', (req, res) => {
+  if (req.query.scope !== undefined) {
+    let scope;
+    try {
+      scope = parseScope(req.query.scope);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!scope) {
+      return res.status(400).json({ error: 'scope must name at least one submolt or agent' });
+    }
+    return startScrape(res, 'targeted', { scope });
+  }
+
   if (lastScrapeTime && Date.now() - lastScrapeTime.getTime() < MIN_SCRAPE_INTERVAL) {
     const waitMin = Math.ceil((MIN_SCRAPE_INTERVAL - (Date.now() - lastScrapeTime.getTime())) / 60000);
     return res.status(429).json({ error: `Rate limited. Try again in ${waitMin} minutes.` });
   }
   const mode = req.query.mode === 'full' ? 'full' : 'incremental';
-  const result = await scrapeAndRebuild(mode);
-  res.json(result);
+  // Full scrapes resume from the last checkpoint unless ?resume=false
+  const resume = req.query.resume !== 'false';
+  startScrape(res, mode, { resume });
+});
+
+// Live scrape progress (Server-Sent Events). Sends a "status" event with the
+// running job, if any, then started/phase/progress/finished events as they happen.
+app.get('/api/scrape/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  const onEvent = event => send(event.type, event);
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+  send('status', { scrapeInProgress, current: describeCurrentJob() });
+  jobEvents.on('event', onEvent);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    jobEvents.off('event', onEvent);
+  });
+});
+
+// Past and running scrape jobs, newest first, without their logs
+app.get('/api/scrape/jobs', (req, res) => {
+  try {
+    const { mode, status, limit: rawLimit } = req.query;
+    const limit = Math.min(parseInt(rawLimit) || 20, 100);
+    res.json({ jobs: listJobs({ mode, status, limit }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One scrape job with phase timings, errors and captured log lines
+app.get('/api/scrape/jobs/:id', (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job '${req.params.id}' not found` });
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
+// ============ RETENTION ============
+
+function pruneSnapshots() {
+  const result = applyRetention(planRetention());
+  if (result.archived.length || result.removed.length) {
+    console.log(`🗂️  Retention: archived ${result.archived.length}, deleted ${result.removed.length} snapshots`);
+  }
+  return result;
+}
+
+// Preview what the retention policy would archive and delete
+app.get('/api/retention', (req, res) => {
+  try {
+    res.json(describePlan(planRetention()));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Apply the retention policy now. Takes the scrape lock, so it can't delete
+// snapshots a scrape here or in another process is building on.
+app.post('/api/retention/apply', async (req, res) => {
+  if (scrapeInProgress) {
+    return res.status(409).json({ error: 'Scrape in progress, try again when it finishes', job: getCurrentJob()?.id || null });
+  }
+  try {
+    const result = await withScrapeLock('server retention', () => pruneSnapshots());
+    res.json({ status: 'ok', ...result });
+  } catch (error) {
+    if (error instanceof ScrapeLockedError) {
+      return res.status(409).json({ error: `${error.message}, try again when it finishes`, lock: describeScrapeLock() });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ SCHEDULE ============
+
+// setTimeout can't wait longer than ~24.8 days; longer waits re-plan on waking
+const MAX_TIMER_MS = 2 ** 31 - 1;
+let schedulerTimer = null;
+
+function scheduleNextScrape(after = new Date()) {
+  if (shuttingDown) return;
+  const next = nextScheduledRun(SCHEDULE, after);
+  if (!next) {
+    console.warn('⚠️  Scrape schedule never fires, no scrapes scheduled');
+    return;
+  }
+
+  const delay = next.at - Date.now();
+  schedulerTimer = setTimeout(async () => {
+    if (delay <= MAX_TIMER_MS) await scrapeAndRebuild(next.mode);
+    // Runs that came due while this one was going are skipped, not queued
+    scheduleNextScrape(new Date(Math.max(Date.now(), next.at)));
+  }, Math.min(Math.max(0, delay), MAX_TIMER_MS));
+}
+
+// ============ SHUTDOWN ============
+
+let shuttingDown = false;
+
+/**
+ * Stop taking scrapes, let a running one save its checkpoint (full scrapes
+ * resume from it on the next start), then exit
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`\n🛑 ${signal} received, shutting down...`);
+  clearTimeout(schedulerTimer);
+  server.close();
+
+  if (scrapeInProgress) {
+    console.log('   Waiting for the running scrape to checkpoint...');
+    requestStop();
+    const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+    while (scrapeInProgress && Date.now() < deadline) await sleep(200);
+    if (scrapeInProgress) {
+      console.warn(`   ⚠️  Scrape still running after ${SHUTDOWN_TIMEOUT_MS / 1000}s, exiting anyway`);
+    }
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 // ============ SERVER STARTUP ============
 
-app.listen(PORT, async () => {
+// Fail at startup, not on the first scheduled scrape, when there's no API key
+try {
+  const keys = getKeyPool().describe();
+  console.log(`🔑 ${keys.length} Moltbook API key${keys.length === 1 ? '' : 's'} loaded`);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const server = app.listen(PORT, async () => {
   console.log(`🔬 MoltWatch server running on port ${PORT}`);
   console.log(`📊 Dashboard: http://localhost:${PORT}`);
   console.log(`🔗 API: http://localhost:${PORT}/api/graph`);
   
-  // Initial full scrape on startup
-  console.log('🚀 Running initial full scrape...');
-  await scrapeAndRebuild('full');
+  // Pick up where the schedule left off rather than always scraping on boot
+  const startup = planStartupScrape(SCHEDULE, schedulerState);
+  if (startup.mode) {
+    console.log(`🚀 Running ${startup.mode} scrape on startup (${startup.reason})...`);
+    await scrapeAndRebuild(startup.mode);
+  } else {
+    console.log(`⏭️  No startup scrape: ${startup.reason}`);
+  }
   
-  // Schedule recurring scrapes
-  setInterval(() => {
-    // Check if it's time for a full scrape
-    if (!lastFullScrape || Date.now() - lastFullScrape.getTime() >= FULL_SCRAPE_INTERVAL) {
-      scrapeAndRebuild('full');
-    } else {
-      scrapeAndRebuild('incremental');
-    }
-  }, INCREMENTAL_INTERVAL);
-  console.log(`⏰ Incremental scrape every ${INCREMENTAL_INTERVAL / 3600000}h, full scrape every ${FULL_SCRAPE_INTERVAL / 3600000}h`);
-});
\ No newline at end of file
+  scheduleNextScrape();
+  console.log(`⏰ Full scrape on "${SCHEDULE.full.expression}", incremental on "${SCHEDULE.incremental.expression}"`);
+});
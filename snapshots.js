@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+/**
+ * MoltWatch Snapshot Storage
+ * Full scrapes are stored as base snapshots and incremental scrapes as deltas
+ * (added, changed and removed posts, submolts and profiles) against the
+ * snapshot before them. loadSnapshot rebuilds any snapshot in full.
+ *
+ * Usage:
+ *   node snapshots.js            # list snapshots with kind and size
+ *   node snapshots.js migrate [--dry-run]   # upgrade files to the current schema
+ *   node snapshots.js validate [file...]    # check snapshots against the schema
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { SCHEMA_VERSION, migrate, schemaVersionOf, validateSnapshot } = require('./schema.js');
+const { writeFileAtomic } = require('./lock.js');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const LATEST_FILE = path.join(DATA_DIR, 'latest.json');
+
+// Deltas allowed on top of a base. The snapshot after that is written in full,
+// so loading never replays more than this many files.
+const MAX_DELTA_CHAIN = parseInt(process.env.SNAPSHOT_MAX_DELTA_CHAIN) || 12;
+
+const postKey = p => p.id;
+const submoltKey = s => s.name;
+const byCreatedDesc = (a, b) => new Date(b.created) - new Date(a.created);
+
+// Archived snapshots are gzipped in place (snapshot-*.json.gz); deltas still
+// name their parent without the .gz, so lookups try both
+const baseName = file => file.replace(/\.gz$/, '');
+
+function resolveSnapshotFile(file) {
+  for (const name of [file, `${baseName(file)}.gz`, baseName(file)]) {
+    if (fs.existsSync(path.join(DATA_DIR, name))) return name;
+  }
+  return null;
+}
+
+function readSnapshotFile(file) {
+  const name = resolveSnapshotFile(file);
+  if (!name) throw new Error(`${file} not found`);
+  const raw = fs.readFileSync(path.join(DATA_DIR, name));
+  return JSON.parse(name.endsWith('.gz') ? zlib.gunzipSync(raw).toString('utf8') : raw.toString('utf8'));
+}
+
+/**
+ * Time a snapshot was taken, from its filename (snapshot-2026-02-07T14-30-05.json,
+ * or the older snapshot-2026-02-07T14-30.json and daily snapshot-2026-02-07.json)
+ */
+function snapshotTime(file) {
+  const match = file.match(/^snapshot-(\d{4}-\d{2}-\d{2})(?:T(\d{2})-(\d{2})(?:-(\d{2}))?)?\.json/);
+  if (!match) return null;
+  return new Date(`${match[1]}T${match[2] || '00'}:${match[3] || '00'}:${match[4] || '00'}Z`);
+}
+
+function isDelta(data) {
+  return data?.kind === 'delta';
+}
+
+// ============ DIFF ============
+
+function diffList(before = [], after = [], key) {
+  const previous = new Map(before.map(item => [key(item), JSON.stringify(item)]));
+  const afterKeys = new Set(after.map(key));
+  return {
+    upserted: after.filter(item => previous.get(key(item)) !== JSON.stringify(item)),
+    removed: Array.from(previous.keys()).filter(k => !afterKeys.has(k)),
+  };
+}
+
+function applyList(before = [], { upserted = [], removed = [] } = {}, key) {
+  const items = new Map(before.map(item => [key(item), item]));
+  removed.forEach(k => items.delete(k));
+  upserted.forEach(item => items.set(key(item), item));
+  return Array.from(items.values());
+}
+
+function diffMap(before = {}, after = {}) {
+  const upserted = {};
+  for (const [k, value] of Object.entries(after)) {
+    if (JSON.stringify(before[k]) !== JSON.stringify(value)) upserted[k] = value;
+  }
+  return { upserted, removed: Object.keys(before).filter(k => !(k in after)) };
+}
+
+function applyMap(before = {}, { upserted = {}, removed = [] } = {}) {
+  const result = { ...before, ...upserted };
+  removed.forEach(k => delete result[k]);
+  return result;
+}
+
+/**
+ * Delta turning parentSnapshot into snapshot. Fields other than the diffed
+ * collections (timestamp, stats, heatmapData) are small and stored whole.
+ */
+function createDelta(snapshot, parentSnapshot, parentFile, depth) {
+  const { posts, submolts, agentProfiles, ...rest } = snapshot;
+  return {
+    ...rest,
+    kind: 'delta',
+    parent: parentFile,
+    depth,
+    posts: diffList(parentSnapshot.posts, posts, postKey),
+    submolts: diffList(parentSnapshot.submolts, submolts, submoltKey),
+    agentProfiles: diffMap(parentSnapshot.agentProfiles, agentProfiles),
+  };
+}
+
+/**
+ * Rebuild a snapshot from its parent. Posts come back newest first; submolts
+ * keep the parent's order with new ones appended.
+ */
+function applyDelta(parentSnapshot, delta) {
+  const { kind, parent, depth, posts, submolts, agentProfiles, ...rest } = delta;
+  return {
+    ...rest,
+    submolts: applyList(parentSnapshot.submolts, submolts, submoltKey),
+    posts: applyList(parentSnapshot.posts, posts, postKey).sort(byCreatedDesc),
+    agentProfiles: applyMap(parentSnapshot.agentProfiles, agentProfiles),
+  };
+}
+
+// ============ LOADING ============
+
+/**
+ * Snapshot filenames, oldest first
+ */
+function listSnapshots() {
+  if (!fs.existsSync(DATA_DIR)) return [];
+  return fs.readdirSync(DATA_DIR)
+    .filter(f => /^snapshot-.+\.json(\.gz)?$/.test(f))
+    .sort();
+}
+
+/**
+ * Contents of latest.json, or null before the first scrape
+ */
+function readLatest() {
+  if (!fs.existsSync(LATEST_FILE)) return null;
+  return JSON.parse(fs.readFileSync(LATEST_FILE, 'utf8'));
+}
+
+/**
+ * Load a snapshot in full, replaying deltas from the nearest base. Files
+ * written under an older schema are migrated in memory. Pass a shared Map as
+ * cache when loading several snapshots from the same chain.
+ */
+function loadSnapshot(file, cache = null) {
+  const chain = [];
+  const visited = new Set();
+  let name = file;
+  let snapshot = null;
+
+  while (!snapshot) {
+    if (cache?.has(baseName(name))) {
+      snapshot = cache.get(baseName(name));
+      break;
+    }
+    if (visited.has(baseName(name))) {
+      throw new Error(`Snapshot ${file} has a delta chain loop at ${name}`);
+    }
+    visited.add(baseName(name));
+
+    let data;
+    try {
+      data = migrate(readSnapshotFile(name));
+    } catch (error) {
+      throw new Error(name === file
+        ? `Failed to load snapshot ${file}: ${error.message}`
+        : `Snapshot ${file} depends on ${name}, which failed to load: ${error.message}`);
+    }
+
+    if (isDelta(data)) {
+      chain.push({ name, data });
+      name = data.parent;
+    } else {
+      snapshot = data;
+      cache?.set(baseName(name), snapshot);
+    }
+  }
+
+  for (let i = chain.length - 1; i >= 0; i--) {
+    snapshot = applyDelta(snapshot, chain[i].data);
+    cache?.set(baseName(chain[i].name), snapshot);
+  }
+  return snapshot;
+}
+
+/**
+ * Load the snapshot latest.json points at
+ */
+function loadLatestSnapshot() {
+  const latest = readLatest();
+  if (!latest) {
+    throw new Error('No snapshot data found. Run scraper first.');
+  }
+  return loadSnapshot(latest.file);
+}
+
+// ============ SAVING ============
+
+function snapshotFilename(date) {
+  return `snapshot-${date.toISOString().replace(/[:.]/g, '-').slice(0, 19)}.json`;
+}
+
+/**
+ * Filename for a snapshot taken at a given time that no existing snapshot has. Two
+ * saves within a second (targeted scrapes aren't rate limited) get
+ * consecutive seconds rather than overwriting one another, which could pull
+ * the base out from under a later delta.
+ */
+function newSnapshotFilename(at) {
+  const taken = new Set(listSnapshots().map(baseName));
+  let time = at.getTime();
+  while (taken.has(snapshotFilename(new Date(time)))) time += 1000;
+  return snapshotFilename(new Date(time));
+}
+
+/**
+ * Write a snapshot, named for its timestamp, and point latest.json at it.
+ * With a parent (the snapshot it was merged from, already loaded), it's
+ * stored as a delta unless the chain is already MAX_DELTA_CHAIN long, so no
+ * chain grows past the limit. Schema mismatches are logged but don't stop
+ * the save.
+ */
+function saveSnapshot(snapshot, { parent = null, parentSnapshot = null } = {}) {
+  const errors = validateSnapshot(snapshot, 5);
+  if (errors.length > 0) {
+    console.warn(`Warning: snapshot doesn't match schema v${SCHEMA_VERSION}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+  }
+
+  const takenAt = new Date(snapshot.timestamp);
+  const filename = newSnapshotFilename(isNaN(takenAt) ? new Date() : takenAt);
+  const latest = readLatest();
+  const depth = parent && latest?.file === parent ? (latest.depth || 0) + 1 : 1;
+
+  const asDelta = parent && parentSnapshot && depth <= MAX_DELTA_CHAIN;
+  const data = asDelta ? createDelta(snapshot, parentSnapshot, parent, depth) : snapshot;
+
+  // The snapshot lands before latest.json points at it
+  writeFileAtomic(path.join(DATA_DIR, filename), JSON.stringify(data));
+  writeFileAtomic(LATEST_FILE, JSON.stringify({
+    timestamp: snapshot.timestamp,
+    file: filename,
+    kind: asDelta ? 'delta' : 'base',
+    depth: asDelta ? depth : 0,
+    stats: snapshot.stats
+  }, null, 2));
+
+  return { filename, kind: asDelta ? 'delta' : 'base' };
+}
+
+// ============ COMPACTION ============
+
+function writeSnapshotFile(name, data) {
+  const json = JSON.stringify(data);
+  writeFileAtomic(path.join(DATA_DIR, name), name.endsWith('.gz') ? zlib.gzipSync(json) : json);
+}
+
+/**
+ * Rewrite a delta in place as a full snapshot. Later deltas keep pointing at
+ * the same filename, which now simply needs no replay.
+ */
+function compactSnapshot(file, cache = null) {
+  const snapshot = loadSnapshot(file, cache);
+  writeSnapshotFile(resolveSnapshotFile(file), snapshot);
+
+  const latest = readLatest();
+  if (latest?.file === file) {
+    writeFileAtomic(LATEST_FILE, JSON.stringify({ ...latest, kind: 'base', depth: 0 }, null, 2));
+  }
+  return snapshot;
+}
+
+// ============ ARCHIVAL ============
+
+/**
+ * Gzip a snapshot as a full (never delta) snapshot-*.json.gz and drop the
+ * original. Returns the archived filename.
+ */
+function archiveSnapshot(file, cache = null) {
+  if (file.endsWith('.gz')) return file;
+  const archived = `${file}.gz`;
+  writeSnapshotFile(archived, loadSnapshot(file, cache));
+  fs.unlinkSync(path.join(DATA_DIR, file));
+  return archived;
+}
+
+function deleteSnapshot(file) {
+  const name = resolveSnapshotFile(file);
+  if (name) fs.unlinkSync(path.join(DATA_DIR, name));
+}
+
+// ============ MIGRATION ============
+
+/**
+ * Upgrade snapshot files written under an older schema in place (archives
+ * stay gzipped, deltas stay deltas). Full snapshots that still don't
+ * validate afterwards are left untouched and reported.
+ */
+function migrateSnapshots({ dryRun = false } = {}) {
+  const result = { migrated: [], current: 0, failed: [] };
+
+  for (const file of listSnapshots()) {
+    try {
+      const data = readSnapshotFile(file);
+      const from = schemaVersionOf(data);
+      if (from === SCHEMA_VERSION) {
+        result.current++;
+        continue;
+      }
+
+      const upgraded = migrate(data);
+      const errors = isDelta(upgraded) ? [] : validateSnapshot(upgraded, 5);
+      if (errors.length > 0) {
+        result.failed.push({ file, errors });
+        continue;
+      }
+
+      if (!dryRun) writeSnapshotFile(file, upgraded);
+      result.migrated.push({ file, from });
+    } catch (error) {
+      result.failed.push({ file, errors: [{ path: '$', message: error.message }] });
+    }
+  }
+
+  return result;
+}
+
+// ============ CLI ============
+
+if (require.main === module) {
+  const command = process.argv[2];
+
+  if (command === 'migrate') {
+    const dryRun = process.argv.includes('--dry-run');
+    const { migrated, current, failed } = migrateSnapshots({ dryRun });
+    console.log(`🧬 Schema v${SCHEMA_VERSION}: ${migrated.length} ${dryRun ? 'to migrate' : 'migrated'}, ${current} current, ${failed.length} failed`);
+    migrated.forEach(m => console.log(`  ✅ ${m.file} (v${m.from} → v${SCHEMA_VERSION})`));
+    failed.forEach(f => console.log(`  ❌ ${f.file}: ${f.errors.map(e => `${e.path} ${e.message}`).join('; ')}`));
+    if (failed.length > 0) process.exitCode = 1;
+  } else if (command === 'validate') {
+    const files = process.argv.length > 3 ? process.argv.slice(3) : listSnapshots();
+    const cache = new Map();
+    let invalid = 0;
+    for (const file of files) {
+      let errors;
+      try {
+        errors = validateSnapshot(loadSnapshot(file, cache), 10);
+      } catch (error) {
+        errors = [{ path: '$', message: error.message }];
+      }
+      if (errors.length > 0) invalid++;
+      console.log(`${errors.length ? '❌' : '✅'} ${file}`);
+      errors.forEach(e => console.log(`     ${e.path}: ${e.message}`));
+    }
+    if (invalid > 0) process.exitCode = 1;
+  } else {
+    for (const file of listSnapshots()) {
+      const size = fs.statSync(path.join(DATA_DIR, file)).size;
+      const data = readSnapshotFile(file);
+      const kind = isDelta(data) ? `delta (depth ${data.depth}, parent ${data.parent})` : 'base';
+      console.log(`${file}  ${(size / 1024).toFixed(0).padStart(7)} KB  v${schemaVersionOf(data)}  ${kind}`);
+    }
+  }
+}
+
+module.exports = {
+  listSnapshots,
+  snapshotTime,
+  isDelta,
+  readSnapshotFile,
+  readLatest,
+  loadSnapshot,
+  loadLatestSnapshot,
+  saveSnapshot,
+  compactSnapshot,
+  archiveSnapshot,
+  deleteSnapshot,
+  migrateSnapshots,
+  createDelta,
+  applyDelta,
+  MAX_DELTA_CHAIN,
+};
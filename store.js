@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+/**
+ * MoltWatch Data Store
+ * With MOLTWATCH_STORE=sqlite, snapshots are also imported into an embedded
+ * SQLite database (better-sqlite3) and queried there. Modules read through
+ * repository.js, which falls back to the JSON snapshots otherwise.
+ *
+ * Usage:
+ *   node store.js import [file...]   # import snapshots (default: all, oldest first)
+ *   node store.js export [out.json]  # write the latest snapshot back out as JSON
+ *   node store.js stats              # row counts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { listSnapshots, loadSnapshot } = require('./snapshots.js');
+const { SCHEMA_VERSION } = require('./schema.js');
+const { annotateThread, threadComplete } = require('./threads.js');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const DB_FILE = process.env.MOLTWATCH_DB || path.join(DATA_DIR, 'moltwatch.db');
+const SQLITE_ENABLED = process.env.MOLTWATCH_STORE === 'sqlite';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS snapshots (
+    file TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    stats TEXT,
+    heatmap TEXT
+  );
+  CREATE INDEX IF NOT EXISTS snapshots_timestamp ON snapshots (timestamp);
+
+  CREATE TABLE IF NOT EXISTS posts (
+    id TEXT PRIMARY KEY,
+    title TEXT,
+    content TEXT,
+    url TEXT,
+    type TEXT,
+    submolt TEXT,
+    author TEXT,
+    upvotes INTEGER,
+    comment_count INTEGER,
+    created TEXT,
+    first_seen TEXT,
+    last_seen TEXT
+  );
+  CREATE INDEX IF NOT EXISTS posts_created ON posts (created);
+  CREATE INDEX IF NOT EXISTS posts_submolt ON posts (submolt, created);
+  CREATE INDEX IF NOT EXISTS posts_author ON posts (author, created);
+  CREATE INDEX IF NOT EXISTS posts_last_seen ON posts (last_seen);
+
+  CREATE TABLE IF NOT EXISTS comments (
+    id TEXT PRIMARY KEY,
+    post_id TEXT,
+    parent_id TEXT,
+    author TEXT,
+    body TEXT,
+    upvotes INTEGER,
+    created TEXT,
+    last_seen TEXT
+  );
+  CREATE INDEX IF NOT EXISTS comments_post ON comments (post_id);
+  CREATE INDEX IF NOT EXISTS comments_author ON comments (author, created);
+
+  CREATE TABLE IF NOT EXISTS agents (
+    name TEXT PRIMARY KEY,
+    profile TEXT,
+    fetched_at TEXT,
+    last_seen TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS submolt_snapshots (
+    file TEXT,
+    name TEXT,
+    display_name TEXT,
+    subscribers INTEGER,
+    last_activity TEXT,
+    created TEXT,
+    PRIMARY KEY (file, name)
+  );
+`;
+
+let db = null;
+let sqliteUnavailable = false;
+
+/**
+ * Open (and create) the database. Returns null when SQLite isn't enabled or
+ * better-sqlite3 isn't installed, unless required is set.
+ */
+function openDatabase({ required = false } = {}) {
+  if (db) return db;
+  if (!SQLITE_ENABLED && !required) return null;
+  if (sqliteUnavailable && !required) return null;
+
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    if (required) throw new Error('better-sqlite3 is not installed (npm install better-sqlite3)');
+    console.warn('MOLTWATCH_STORE=sqlite but better-sqlite3 is not installed, using JSON snapshots');
+    sqliteUnavailable = true;
+    return null;
+  }
+
+  fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+  db = new Database(DB_FILE);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  return db;
+}
+
+/**
+ * Whether queries are served from SQLite (enabled, installed and populated)
+ */
+function isSqliteEnabled() {
+  const conn = openDatabase();
+  return Boolean(conn && conn.prepare('SELECT 1 FROM snapshots LIMIT 1').get());
+}
+
+// ============ IMPORT ============
+
+/**
+ * Import one fully loaded (so current-schema) snapshot. Rows only move forward in time, so
+ * importing an older snapshot after a newer one doesn't overwrite anything.
+ */
+function importSnapshot(snapshot, file, conn = openDatabase({ required: true })) {
+  const ts = snapshot.timestamp;
+  file = file.replace(/\.gz$/, ''); // archived snapshots keep their original name here
+
+  const upsertPost = conn.prepare(`
+    INSERT INTO posts (id, title, content, url, type, submolt, author, upvotes, comment_count, created, first_seen, last_seen)
+    VALUES (@id, @title, @content, @url, @type, @submolt, @author, @upvotes, @comment_count, @created, @ts, @ts)
+    ON CONFLICT (id) DO UPDATE SET
+      title = excluded.title, content = excluded.content, url = excluded.url, type = excluded.type,
+      submolt = excluded.submolt, author = excluded.author, upvotes = excluded.upvotes,
+      comment_count = excluded.comment_count, created = excluded.created, last_seen = excluded.last_seen,
+      first_seen = MIN(posts.first_seen, excluded.first_seen)
+    WHERE excluded.last_seen >= posts.last_seen
+  `);
+  const upsertComment = conn.prepare(`
+    INSERT INTO comments (id, post_id, parent_id, author, body, upvotes, created, last_seen)
+    VALUES (@id, @post_id, @parent_id, @author, @body, @upvotes, @created, @ts)
+    ON CONFLICT (id) DO UPDATE SET
+      post_id = excluded.post_id, parent_id = excluded.parent_id, author = excluded.author,
+      body = excluded.body, upvotes = excluded.upvotes, created = excluded.created, last_seen = excluded.last_seen
+    WHERE excluded.last_seen >= comments.last_seen
+  `);
+  const upsertAgent = conn.prepare(`
+    INSERT INTO agents (name, profile, fetched_at, last_seen) VALUES (@name, @profile, @fetched_at, @ts)
+    ON CONFLICT (name) DO UPDATE SET
+      profile = excluded.profile, fetched_at = excluded.fetched_at, last_seen = excluded.last_seen
+    WHERE excluded.last_seen >= agents.last_seen
+  `);
+  const insertSubmolt = conn.prepare(`
+    INSERT OR REPLACE INTO submolt_snapshots (file, name, display_name, subscribers, last_activity, created)
+    VALUES (@file, @name, @display_name, @subscribers, @last_activity, @created)
+  `);
+
+  const run = conn.transaction(() => {
+    conn.prepare('INSERT OR REPLACE INTO snapshots (file, timestamp, stats, heatmap) VALUES (?, ?, ?, ?)')
+      .run(file, ts, JSON.stringify(snapshot.stats || {}), JSON.stringify(snapshot.heatmapData || null));
+
+    for (const p of snapshot.posts || []) {
+      upsertPost.run({
+        id: p.id,
+        title: p.title ?? null,
+        content: p.content ?? null,
+        url: p.url ?? null,
+        type: p.type ?? null,
+        submolt: p.submolt ?? null,
+        author: p.author ?? null,
+        upvotes: p.upvotes ?? null,
+        comment_count: p.comment_count ?? null,
+        created: p.created ?? null,
+        ts,
+      });
+      for (const c of p.comments || []) {
+        upsertComment.run({
+          id: c.id,
+          post_id: p.id,
+          parent_id: c.parent_id ?? null,
+          author: c.author ?? null,
+          body: c.body ?? null,
+          upvotes: c.upvotes ?? null,
+          created: c.created ?? null,
+          ts,
+        });
+      }
+    }
+
+    for (const [name, profile] of Object.entries(snapshot.agentProfiles || {})) {
+      upsertAgent.run({ name, profile: JSON.stringify(profile), fetched_at: profile.fetched_at ?? null, ts });
+    }
+
+    for (const s of snapshot.submolts || []) {
+      insertSubmolt.run({
+        file,
+        name: s.name,
+        display_name: s.display_name ?? null,
+        subscribers: s.subscribers ?? null,
+        last_activity: s.last_activity ?? null,
+        created: s.created ?? null,
+      });
+    }
+  });
+
+  run();
+}
+
+/**
+ * Import a freshly saved snapshot when the SQLite store is enabled. The JSON
+ * snapshot is already on disk, so a failure here only warns.
+ */
+function recordSnapshot(snapshot, file) {
+  const conn = openDatabase();
+  if (!conn) return;
+  try {
+    importSnapshot(snapshot, file, conn);
+  } catch (error) {
+    console.warn(`Failed to import ${file} into SQLite: ${error.message}`);
+  }
+}
+
+/**
+ * Drop deleted snapshots' per-snapshot rows. Posts, comments and profiles
+ * stay: they describe content, not a particular scrape.
+ */
+function forgetSnapshots(files) {
+  const conn = openDatabase();
+  if (!conn || files.length === 0) return;
+  const run = conn.transaction(() => {
+    for (const file of files) {
+      conn.prepare('DELETE FROM snapshots WHERE file = ?').run(file);
+      conn.prepare('DELETE FROM submolt_snapshots WHERE file = ?').run(file);
+    }
+  });
+  run();
+}
+
+/**
+ * Import JSON snapshots (default: all of them, oldest first)
+ */
+function importSnapshots(files = listSnapshots()) {
+  const conn = openDatabase({ required: true });
+  const cache = new Map();
+  let imported = 0;
+  for (const file of files) {
+    try {
+      importSnapshot(loadSnapshot(file, cache), file, conn);
+      imported++;
+      console.log(`  ✅ ${file}`);
+    } catch (error) {
+      console.warn(`  ⚠️  ${file}: ${error.message}`);
+    }
+  }
+  return imported;
+}
+
+// ============ QUERIES ============
+
+// The latest snapshot, posts and comments are only served from the database
+// (repository.js answers them from JSON otherwise); snapshot history falls
+// back to the JSON files here.
+
+function latestSnapshotRow(conn) {
+  return conn.prepare('SELECT * FROM snapshots ORDER BY timestamp DESC LIMIT 1').get();
+}
+
+function rowToPost(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    content: row.content,
+    url: row.url,
+    type: row.type,
+    submolt: row.submolt,
+    author: row.author,
+    upvotes: row.upvotes,
+    comment_count: row.comment_count,
+    created: row.created,
+  };
+}
+
+function rowToComment(row) {
+  return {
+    id: row.id,
+    parent_id: row.parent_id,
+    author: row.author,
+    body: row.body,
+    upvotes: row.upvotes,
+    created: row.created,
+  };
+}
+
+/**
+ * The latest snapshot in full (same shape as the JSON snapshot files)
+ */
+function getLatestSnapshot() {
+  const conn = openDatabase({ required: true });
+  const snap = latestSnapshotRow(conn);
+  const ts = snap.timestamp;
+
+  const commentsByPost = new Map();
+  for (const row of conn.prepare('SELECT * FROM comments WHERE last_seen = ?').iterate(ts)) {
+    if (!commentsByPost.has(row.post_id)) commentsByPost.set(row.post_id, []);
+    commentsByPost.get(row.post_id).push(rowToComment(row));
+  }
+
+  const posts = conn.prepare('SELECT * FROM posts WHERE last_seen = ? ORDER BY created DESC').all(ts)
+    .map(row => {
+      const comments = annotateThread(commentsByPost.get(row.id) || []);
+      return { ...rowToPost(row), comments, commentsComplete: threadComplete(row, comments) };
+    });
+
+  const agentProfiles = {};
+  for (const row of conn.prepare('SELECT name, profile FROM agents WHERE last_seen = ?').iterate(ts)) {
+    agentProfiles[row.name] = JSON.parse(row.profile);
+  }
+
+  const submolts = conn.prepare(`
+    SELECT name, display_name, subscribers, last_activity, created FROM submolt_snapshots WHERE file = ? ORDER BY rowid
+  `).all(snap.file);
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    timestamp: ts,
+    stats: JSON.parse(snap.stats),
+    submolts,
+    posts,
+    agentProfiles,
+    heatmapData: JSON.parse(snap.heatmap),
+  };
+}
+
+/**
+ * Posts (without comments) matching the filters, newest first. since/until
+ * bound the post's created time.
+ */
+function getPosts({ since = null, until = null, submolt = null, author = null, limit = null, offset = 0 } = {}) {
+  const conn = openDatabase({ required: true });
+  const where = [];
+  const params = {};
+  if (since) { where.push('created >= @since'); params.since = new Date(since).toISOString(); }
+  if (until) { where.push('created < @until'); params.until = new Date(until).toISOString(); }
+  if (submolt) { where.push('submolt = @submolt'); params.submolt = submolt; }
+  if (author) { where.push('author = @author'); params.author = author; }
+
+  const sql = `SELECT * FROM posts ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY created DESC LIMIT @limit OFFSET @offset`;
+  return conn.prepare(sql).all({ ...params, limit: limit ?? -1, offset }).map(rowToPost);
+}
+
+/**
+ * Comments matching the filters, newest first, each with its post_id
+ */
+function getComments({ postId = null, author = null, since = null, until = null, limit = null, offset = 0 } = {}) {
+  const conn = openDatabase({ required: true });
+  const where = [];
+  const params = {};
+  if (postId) { where.push('post_id = @postId'); params.postId = postId; }
+  if (author) { where.push('author = @author'); params.author = author; }
+  if (since) { where.push('created >= @since'); params.since = new Date(since).toISOString(); }
+  if (until) { where.push('created < @until'); params.until = new Date(until).toISOString(); }
+
+  const sql = `SELECT * FROM comments ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY created DESC LIMIT @limit OFFSET @offset`;
+  return conn.prepare(sql).all({ ...params, limit: limit ?? -1, offset })
+    .map(row => ({ ...rowToComment(row), post_id: row.post_id }));
+}
+
+/**
+ * Submolt lists per snapshot, newest first: [{ file, timestamp, stats, submolts }].
+ * Without SQLite each snapshot is loaded from its file; pass a Map as
+ * summaries to keep the results by file between calls.
+ */
+function getSubmoltSnapshots({ since = null, limit = null } = {}, summaries = null) {
+  const conn = isSqliteEnabled() ? openDatabase() : null;
+  const sinceTime = since ? new Date(since).getTime() : null;
+
+  if (!conn) {
+    const results = [];
+    const cache = new Map();
+    for (const file of listSnapshots().reverse()) {
+      if (limit && results.length >= limit) break;
+      try {
+        let summary = summaries?.get(file);
+        if (!summary) {
+          const { timestamp, stats, submolts } = loadSnapshot(file, cache);
+          summary = { file, timestamp, stats, submolts: submolts || [] };
+          summaries?.set(file, summary);
+        }
+        if (sinceTime && new Date(summary.timestamp).getTime() < sinceTime) break;
+        results.push(summary);
+      } catch (error) {
+        console.warn(`Warning: ${error.message}`);
+      }
+    }
+    return results;
+  }
+
+  const rows = conn.prepare(`
+    SELECT file, timestamp, stats FROM snapshots
+    WHERE timestamp >= @since ORDER BY timestamp DESC LIMIT @limit
+  `).all({ since: since ? new Date(since).toISOString() : '', limit: limit ?? -1 });
+
+  const submoltsFor = conn.prepare(`
+    SELECT name, display_name, subscribers, last_activity, created FROM submolt_snapshots WHERE file = ? ORDER BY rowid
+  `);
+  return rows.map(row => ({
+    file: row.file,
+    timestamp: row.timestamp,
+    stats: JSON.parse(row.stats),
+    submolts: submoltsFor.all(row.file),
+  }));
+}
+
+/**
+ * Number of snapshots on record
+ */
+function getSnapshotCount() {
+  const conn = isSqliteEnabled() ? openDatabase() : null;
+  if (!conn) return listSnapshots().length;
+  return conn.prepare('SELECT COUNT(*) AS n FROM snapshots').get().n;
+}
+
+// ============ CLI ============
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'import') {
+    console.log(`📥 Importing snapshots into ${DB_FILE}...`);
+    const imported = importSnapshots(args.length ? args : undefined);
+    console.log(`Imported ${imported} snapshots`);
+  } else if (command === 'export') {
+    // Once open, queries use the database even without MOLTWATCH_STORE=sqlite
+    const latest = latestSnapshotRow(openDatabase({ required: true }));
+    if (!latest) {
+      console.error('Database is empty. Run: node store.js import');
+      process.exit(1);
+    }
+    const out = args[0] || path.join(DATA_DIR, `export-${latest.timestamp.replace(/[:.]/g, '-').slice(0, 16)}.json`);
+    const snapshot = getLatestSnapshot();
+    fs.writeFileSync(out, JSON.stringify(snapshot));
+    console.log(`📤 Exported ${snapshot.posts.length} posts from ${snapshot.timestamp} to ${out}`);
+  } else if (command === 'stats') {
+    const conn = openDatabase({ required: true });
+    for (const table of ['snapshots', 'posts', 'comments', 'agents', 'submolt_snapshots']) {
+      console.log(`${table.padEnd(18)} ${conn.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n}`);
+    }
+  } else {
+    console.log('Usage: node store.js import [file...] | export [out.json] | stats');
+  }
+}
+
+module.exports = {
+  isSqliteEnabled,
+  importSnapshot,
+  importSnapshots,
+  recordSnapshot,
+  forgetSnapshots,
+  getLatestSnapshot,
+  getPosts,
+  getComments,
+  getSubmoltSnapshots,
+  getSnapshotCount,
+  DB_FILE,
+};
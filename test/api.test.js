@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { endpointKey, parseRetryAfter } = require('../api.js');
+const { startMockApi, scraperModules } = require('./helpers.js');
+
+test('endpointKey folds ids out of endpoints', () => {
+  assert.strictEqual(endpointKey('/posts'), '/posts');
+  assert.strictEqual(endpointKey('/posts/0b6a7f3e-1c2d-4e5f-8a9b-0c1d2e3f4a5b/comments'), '/posts/:id/comments');
+  assert.strictEqual(endpointKey('/posts/12345/comments'), '/posts/:id/comments');
+  assert.strictEqual(endpointKey('/agents/profile'), '/agents/profile');
+});
+
+test('parseRetryAfter reads delta-seconds', () => {
+  assert.strictEqual(parseRetryAfter('120'), 120000);
+  assert.strictEqual(parseRetryAfter('0.5'), 500);
+  assert.strictEqual(parseRetryAfter('-3'), 0);
+});
+
+test('parseRetryAfter reads HTTP dates relative to now', () => {
+  const ms = parseRetryAfter(new Date(Date.now() + 30000).toUTCString());
+  assert.ok(ms > 28000 && ms <= 30000, `got ${ms}`);
+  assert.strictEqual(parseRetryAfter(new Date(Date.now() - 30000).toUTCString()), 0);
+});
+
+test('parseRetryAfter ignores missing and malformed headers', () => {
+  assert.strictEqual(parseRetryAfter(null), null);
+  assert.strictEqual(parseRetryAfter(''), null);
+  assert.strictEqual(parseRetryAfter('soon'), null);
+});
+
+test('getRequestStats summarises each priority\'s requests since its reset', async (t) => {
+  const api = await startMockApi({
+    before: (req, res, next) => req.path.endsWith('/comments') ? res.status(503).json({ error: 'down' }) : next(),
+  });
+  t.after(api.close);
+  const { load } = scraperModules(api.base);
+  const { fetchAPI, resetRequestStats, getRequestStats, APIError } = load('api.js');
+
+  await fetchAPI('/posts', { sort: 'new', limit: 2 });
+  await fetchAPI('/posts', { sort: 'new', limit: 2, offset: 2 });
+  await assert.rejects(fetchAPI('/posts/123/comments'), APIError);
+  await assert.rejects(fetchAPI('/agents/profile', { name: 'nobody' }), error => error.status === 404);
+  await fetchAPI('/submolts', {}, { priority: 'alert' });
+
+  const stats = getRequestStats();
+  assert.strictEqual(stats.requests, 4);
+  assert.strictEqual(stats.failures, 1);
+  assert.strictEqual(stats.clientErrors, 1);
+  assert.strictEqual(stats.complete, false);
+  assert.ok(stats.bytes > 0);
+  assert.deepStrictEqual(Object.keys(stats.byEndpoint), ['/posts', '/posts/:id/comments', '/agents/profile']);
+
+  const posts = stats.byEndpoint['/posts'];
+  assert.strictEqual(posts.requests, 2);
+  assert.deepStrictEqual(posts.statusCodes, { 200: 2 });
+  assert.deepStrictEqual(Object.keys(posts.latencyMs), ['p50', 'p90', 'p99', 'max']);
+  assert.ok(posts.latencyMs.max >= posts.latencyMs.p50);
+  assert.deepStrictEqual(stats.byEndpoint['/posts/:id/comments'].statusCodes, { 503: 1 });
+  assert.strictEqual(stats.byEndpoint['/posts/:id/comments'].failures, 1);
+
+  const alert = getRequestStats('alert');
+  assert.strictEqual(alert.requests, 1);
+  assert.strictEqual(alert.complete, true);
+  assert.deepStrictEqual(Object.keys(alert.byEndpoint), ['/submolts']);
+
+  resetRequestStats();
+  assert.strictEqual(getRequestStats().requests, 0);
+  assert.deepStrictEqual(getRequestStats().byEndpoint, {});
+  assert.strictEqual(getRequestStats('alert').requests, 1);
+});
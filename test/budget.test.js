@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { RequestBudget } = require('../budget.js');
+const { acquireLock } = require('../lock.js');
+const { tempDir } = require('./helpers.js');
+
+const budgetFile = () => path.join(tempDir('moltwatch-budget-'), 'api-budget.json');
+
+test('alert checks are served before scraping queued ahead of them', async () => {
+  const budget = new RequestBudget({ perMinute: 2, perHour: 100, alertReserve: 0 }, { file: null });
+  const order = [];
+
+  // A full minute window whose oldest second is about to leave it
+  budget.memory.seconds[Math.floor((Date.now() - 60 * 1000) / 1000)] = 2;
+  const queued = [
+    budget.acquire('scrape').then(() => order.push('scrape')),
+    budget.acquire('alert').then(() => order.push('alert')),
+  ];
+  await Promise.all(queued);
+
+  assert.deepStrictEqual(order, ['alert', 'scrape']);
+  assert.strictEqual(budget.describe().byPriority.scrape.waited, 1);
+});
+
+test('an unusable alert reserve falls back to the default', () => {
+  const budget = new RequestBudget({ perMinute: 10, perHour: 100, alertReserve: NaN }, { file: null });
+  assert.strictEqual(budget.alertReserve, 0.1);
+  assert.deepStrictEqual(budget.limits('scrape'), { minute: 9, hour: 90 });
+});
+
+test('API_BUDGET_ALERT_RESERVE must be a share between 0 and 1', async () => {
+  const reserve = value => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', `console.log(require(${JSON.stringify(path.join(__dirname, '../budget.js'))}).DEFAULT_LIMITS.alertReserve)`], {
+      env: { ...process.env, API_BUDGET_ALERT_RESERVE: value },
+    }, (error, stdout) => (error ? reject(error) : resolve(parseFloat(stdout.trim().split('\n').pop()))));
+  });
+  assert.strictEqual(await reserve('0.25'), 0.25);
+  assert.strictEqual(await reserve(''), 0.1);
+  assert.strictEqual(await reserve('lots'), 0.1);
+  assert.strictEqual(await reserve('2'), 0.1);
+});
+
+test('waiting on the budget file lock leaves the event loop running', async () => {
+  const file = budgetFile();
+  const budget = new RequestBudget({ perMinute: 100, perHour: 1000, alertReserve: 0 }, { file });
+  const lock = acquireLock(`${file}.lock`, 'another process', { renew: false });
+
+  let granted = false;
+  const request = budget.acquire('scrape').then(() => { granted = true; });
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 10);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.strictEqual(granted, false);
+  assert.ok(ticks >= 5, `only ${ticks} ticks while waiting`);
+
+  lock.release();
+  await request;
+  clearInterval(ticker);
+  assert.strictEqual(budget.describe().usedLastMinute, 1);
+});
+
+test('scraping leaves the alert reserve free', async () => {
+  const budget = new RequestBudget({ perMinute: 10, perHour: 100, alertReserve: 0.3 }, { file: null });
+  assert.deepStrictEqual(budget.limits('scrape'), { minute: 7, hour: 70 });
+  assert.deepStrictEqual(budget.limits('alert'), { minute: 10, hour: 100 });
+
+  for (let i = 0; i < 7; i++) await budget.acquire('scrape');
+  assert.strictEqual(budget.waitFor(budget.memory, 'scrape') > 0, true);
+  assert.strictEqual(budget.waitFor(budget.memory, 'alert'), 0);
+});
+
+test('scraping holds back while another process has alert checks waiting', async () => {
+  const file = budgetFile();
+  // The test runner stands in for another live process with an alert check queued
+  const other = `${os.hostname()}:${process.ppid}`;
+  fs.writeFileSync(file, JSON.stringify({
+    seconds: {}, minutes: {}, waiting: { [other]: { alert: 1, scrape: 0, updatedAt: Date.now() } },
+  }));
+
+  const budget = new RequestBudget({ perMinute: 100, perHour: 1000, alertReserve: 0 }, { file });
+  let granted = false;
+  const scrape = budget.acquire('scrape').then(() => { granted = true; });
+  await new Promise(resolve => setTimeout(resolve, 600));
+  assert.strictEqual(granted, false);
+  assert.strictEqual(budget.describe().waitingProcesses, 2);
+
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  delete state.waiting[other];
+  fs.writeFileSync(file, JSON.stringify(state));
+  await scrape;
+  assert.strictEqual(budget.describe().waitingProcesses, 0);
+});
+
+// A CLI alert check and a scrape running at the same time, as separate processes
+test('processes sharing the budget file stay within it together', async () => {
+  const file = budgetFile();
+  const worker = `
+    const { RequestBudget } = require(${JSON.stringify(path.join(__dirname, '../budget.js'))});
+    const [priority, count] = [process.argv[1], parseInt(process.argv[2])];
+    const budget = new RequestBudget({ perMinute: 10, perHour: 100, alertReserve: 0.4 }, { file: ${JSON.stringify(file)} });
+    let granted = 0;
+    for (let i = 0; i < count; i++) budget.acquire(priority).then(() => granted++);
+    setTimeout(() => { console.log(granted); process.exit(0); }, 1500);
+  `;
+  const run = (priority, count) => new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', worker, priority, String(count)], (error, stdout) => {
+      if (error) reject(error);
+      else resolve(parseInt(stdout));
+    });
+  });
+
+  const [scraped, alerted] = await Promise.all([run('scrape', 20), run('alert', 3)]);
+  const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const total = Object.values(state.seconds).reduce((sum, n) => sum + n, 0);
+
+  assert.strictEqual(alerted, 3);
+  assert.ok(scraped <= 6, `scrape took ${scraped} of its 6`);
+  assert.strictEqual(total, scraped + alerted);
+  assert.ok(total <= 10);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { isolatedModules } = require('./helpers.js');
+
+test('a saved checkpoint loads back and is described from its header', () => {
+  const { dataDir, load } = isolatedModules();
+  const { newCheckpoint, saveCheckpoint, completePhase, loadCheckpoint, describeCheckpoint } = load('checkpoint.js');
+
+  const work = newCheckpoint(new Date().toISOString());
+  work.submolts.items.push({ name: 'general' });
+  completePhase(work, 'submolts');
+  work.posts.items.push({ id: 'p1' }, { id: 'p2' });
+  saveCheckpoint(work);
+
+  assert.deepStrictEqual(loadCheckpoint(), work);
+  assert.deepStrictEqual(describeCheckpoint(), {
+    startedAt: work.timestamp,
+    updatedAt: work.updatedAt,
+    phase: 'posts',
+    posts: 2,
+    commentsChecked: 0,
+    profiles: 0,
+  });
+  assert.deepStrictEqual(fs.readdirSync(dataDir).sort(), ['scrape-work.json', 'scrape-work.meta.json']);
+});
+
+test('describeCheckpoint never parses the work file', () => {
+  const { dataDir, load } = isolatedModules();
+  const { newCheckpoint, saveCheckpoint, describeCheckpoint } = load('checkpoint.js');
+
+  saveCheckpoint(newCheckpoint(new Date().toISOString()));
+  fs.writeFileSync(path.join(dataDir, 'scrape-work.json'), '{ not json');
+  assert.strictEqual(describeCheckpoint().phase, 'submolts');
+});
+
+test('a stale checkpoint is described as none but only discarded on load', () => {
+  const { dataDir, load } = isolatedModules();
+  const { newCheckpoint, saveCheckpoint, loadCheckpoint, describeCheckpoint } = load('checkpoint.js');
+  const workFile = path.join(dataDir, 'scrape-work.json');
+  const metaFile = path.join(dataDir, 'scrape-work.meta.json');
+
+  saveCheckpoint(newCheckpoint('2020-01-01T00:00:00.000Z'));
+  const old = '2020-01-01T00:00:00.000Z';
+  for (const file of [workFile, metaFile]) {
+    fs.writeFileSync(file, JSON.stringify({ ...JSON.parse(fs.readFileSync(file, 'utf8')), updatedAt: old }));
+  }
+
+  assert.strictEqual(describeCheckpoint(), null);
+  assert.ok(fs.existsSync(workFile));
+  assert.strictEqual(loadCheckpoint(), null);
+  assert.ok(!fs.existsSync(workFile));
+  assert.ok(!fs.existsSync(metaFile));
+});
+
+test('clearCheckpoint removes the work file and its header', () => {
+  const { load } = isolatedModules();
+  const { newCheckpoint, saveCheckpoint, clearCheckpoint, loadCheckpoint, describeCheckpoint } = load('checkpoint.js');
+
+  saveCheckpoint(newCheckpoint(new Date().toISOString()));
+  clearCheckpoint();
+  assert.strictEqual(loadCheckpoint(), null);
+  assert.strictEqual(describeCheckpoint(), null);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadApiKeys, KeyPool, CredentialsError, redact, maskKey } = require('../credentials.js');
+const { tempDir } = require('./helpers.js');
+
+test('loadApiKeys prefers the pool, then the single key, then the secrets file', () => {
+  const file = path.join(tempDir(), 'secrets.json');
+  fs.writeFileSync(file, JSON.stringify({ apiKeys: [' k3 ', 'k4', 'k3'] }));
+
+  assert.deepStrictEqual(loadApiKeys({ MOLTBOOK_API_KEYS: 'k1, k2,,k1', MOLTBOOK_API_KEY: 'k0' }), ['k1', 'k2']);
+  assert.deepStrictEqual(loadApiKeys({ MOLTBOOK_API_KEY: 'k0', MOLTBOOK_SECRETS_FILE: file }), ['k0']);
+  assert.deepStrictEqual(loadApiKeys({ MOLTBOOK_SECRETS_FILE: file }), ['k3', 'k4']);
+
+  fs.writeFileSync(file, JSON.stringify({ apiKey: 'k5' }));
+  assert.deepStrictEqual(loadApiKeys({ MOLTBOOK_SECRETS_FILE: file }), ['k5']);
+});
+
+test('loadApiKeys says what to set when there are no keys', () => {
+  const file = path.join(tempDir(), 'secrets.json');
+  fs.writeFileSync(file, JSON.stringify({ apiKeys: [] }));
+  assert.throws(() => loadApiKeys({ MOLTBOOK_SECRETS_FILE: file }), error => {
+    assert.ok(error instanceof CredentialsError);
+    assert.match(error.message, /Set MOLTBOOK_API_KEY/);
+    return true;
+  });
+
+  fs.writeFileSync(file, '{ not json');
+  assert.throws(() => loadApiKeys({ MOLTBOOK_SECRETS_FILE: file }), /Can't read secrets file/);
+});
+
+test('maskKey and redact keep only the last 4 characters of keys', () => {
+  assert.strictEqual(maskKey('moltbook_sk_abcdef123456'), '…3456');
+  new KeyPool(['custom-key-without-prefix-9876']);
+
+  assert.strictEqual(
+    redact('GET /posts with moltbook_sk_abcdef123456 failed, key custom-key-without-prefix-9876'),
+    'GET /posts with …3456 failed, key …9876'
+  );
+  assert.strictEqual(redact(null), null);
+  assert.deepStrictEqual(redact({ key: 'moltbook_sk_abcdef123456' }), { key: 'moltbook_sk_abcdef123456' });
+});
+
+test('KeyPool rotates keys and skips ones cooling down after a rate limit', () => {
+  const pool = new KeyPool(['moltbook_sk_aaaa1111', 'moltbook_sk_bbbb2222', 'moltbook_sk_cccc3333']);
+  assert.deepStrictEqual([pool.acquire(), pool.acquire(), pool.acquire(), pool.acquire()],
+    ['moltbook_sk_aaaa1111', 'moltbook_sk_bbbb2222', 'moltbook_sk_cccc3333', 'moltbook_sk_aaaa1111']);
+
+  pool.markRateLimited('moltbook_sk_bbbb2222', 60000);
+  assert.strictEqual(pool.available(), 2);
+  assert.deepStrictEqual([pool.acquire(), pool.acquire(), pool.acquire()],
+    ['moltbook_sk_cccc3333', 'moltbook_sk_aaaa1111', 'moltbook_sk_cccc3333']);
+
+  const described = pool.describe();
+  assert.deepStrictEqual(described.map(k => k.key), ['…1111', '…2222', '…3333']);
+  assert.strictEqual(described[1].rateLimited, 1);
+  assert.ok(described[1].coolingDownUntil);
+  assert.strictEqual(described[0].coolingDownUntil, null);
+});
+
+test('KeyPool uses the key free soonest when all are cooling down', () => {
+  const pool = new KeyPool(['moltbook_sk_aaaa1111', 'moltbook_sk_bbbb2222']);
+  pool.markRateLimited('moltbook_sk_aaaa1111', 60000);
+  pool.markRateLimited('moltbook_sk_bbbb2222', 1000);
+  assert.strictEqual(pool.available(), 0);
+  assert.strictEqual(pool.acquire(), 'moltbook_sk_bbbb2222');
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { isolatedModules } = require('./helpers.js');
+const { computeEngagementMetrics } = require('../engagement.js');
+
+const post = (id, upvotes, comment_count, extra = {}) => ({ id, created: '2026-01-01T00:00:00Z', upvotes, comment_count, ...extra });
+
+test('recordEngagement samples changes and skips repeats', () => {
+  const { load } = isolatedModules();
+  const { recordEngagement, getPostHistory } = load('engagement.js');
+
+  assert.deepStrictEqual(recordEngagement([post('p1', 1, 0)], '2026-01-01T01:00:00Z'), { postsSampled: 1, samplesAdded: 1, postsPruned: 0 });
+  assert.strictEqual(recordEngagement([post('p1', 1, 0)], '2026-01-01T02:00:00Z').samplesAdded, 0);
+  recordEngagement([post('p1', 5, 1, { comments: [{ created: '2026-01-01T00:30:00Z' }] })], '2026-01-01T03:00:00Z');
+
+  const history = getPostHistory('p1');
+  assert.deepStrictEqual(history.samples.map(s => s.upvotes), [1, 5]);
+  assert.strictEqual(history.lastSampledAt, '2026-01-01T03:00:00Z');
+  assert.strictEqual(history.firstCommentAt, '2026-01-01T00:30:00Z');
+  assert.strictEqual(history.metrics.timeToFirstCommentMinutes, 30);
+  assert.strictEqual(getPostHistory('nope'), null);
+});
+
+test('posts not sampled for ENGAGEMENT_HISTORY_DAYS are dropped', () => {
+  const { load } = isolatedModules();
+  const { recordEngagement, getPostHistory } = load('engagement.js');
+
+  recordEngagement([post('old', 1, 0), post('kept', 1, 0)], '2026-01-01T00:00:00Z');
+  const result = recordEngagement([post('kept', 2, 0)], '2026-02-15T00:00:00Z');
+
+  assert.strictEqual(result.postsPruned, 1);
+  assert.strictEqual(getPostHistory('old'), null);
+  assert.strictEqual(getPostHistory('kept').sampleCount, 2);
+});
+
+test('reads are cached until the history file changes', () => {
+  const { dataDir, load } = isolatedModules();
+  const { recordEngagement, getPostHistory } = load('engagement.js');
+  const file = path.join(dataDir, 'engagement-history.json');
+
+  recordEngagement([post('p1', 1, 0)], '2026-01-01T00:00:00Z');
+  const read = fs.readFileSync;
+  let reads = 0;
+  fs.readFileSync = (...args) => {
+    if (args[0] === file) reads++;
+    return read(...args);
+  };
+  try {
+    getPostHistory('p1');
+    getPostHistory('p1');
+    assert.strictEqual(reads, 0);
+
+    // Another process (the scraper CLI) rewrites the file
+    const history = JSON.parse(read(file, 'utf8'));
+    history.posts.p2 = { ...history.posts.p1, samples: [] };
+    fs.writeFileSync(file, JSON.stringify(history));
+    assert.notStrictEqual(getPostHistory('p2'), null);
+    assert.strictEqual(reads, 1);
+  } finally {
+    fs.readFileSync = read;
+  }
+});
+
+test('computeEngagementMetrics finds the peak and upvote velocity', () => {
+  const metrics = computeEngagementMetrics({
+    created: '2026-01-01T00:00:00Z',
+    firstCommentAt: null,
+    samples: [
+      { t: '2026-01-01T01:00:00Z', upvotes: 2, comment_count: 0 },
+      { t: '2026-01-01T02:00:00Z', upvotes: 10, comment_count: 3 },
+      { t: '2026-01-01T03:00:00Z', upvotes: 8, comment_count: 3 },
+    ],
+  });
+  assert.strictEqual(metrics.peakUpvotes, 10);
+  assert.strictEqual(metrics.timeToPeakMinutes, 120);
+  assert.strictEqual(metrics.timeToFirstCommentMinutes, 120);
+  assert.strictEqual(metrics.firstCommentEstimated, true);
+  assert.strictEqual(metrics.upvotesPerHour, 3);
+});
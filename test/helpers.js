@@ -0,0 +1,119 @@
+/**
+ * Test helpers
+ * Modules keep their files in data/ next to themselves, so tests that read or
+ * write data load copies of the modules from a temp directory instead.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const tempDirs = [];
+process.on('exit', () => {
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * A temp directory, removed when the test process exits
+ */
+function tempDir(prefix = 'moltwatch-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Copy the modules into a fresh temp directory with an empty data/.
+ * Returns { dir, dataDir, load(name) }.
+ */
+function isolatedModules() {
+  const dir = tempDir();
+  for (const file of fs.readdirSync(ROOT)) {
+    if (file.endsWith('.js')) fs.copyFileSync(path.join(ROOT, file), path.join(dir, file));
+  }
+  fs.symlinkSync(path.join(ROOT, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+  const dataDir = path.join(dir, 'data');
+  fs.mkdirSync(dataDir);
+  return { dir, dataDir, load: name => require(path.join(dir, name)) };
+}
+
+/**
+ * A minimal valid (schema v2) snapshot taken at `timestamp`
+ */
+function makeSnapshot(timestamp, posts = []) {
+  return {
+    schemaVersion: 2,
+    timestamp,
+    stats: { posts: posts.length },
+    submolts: [{ name: 'general', display_name: 'General', subscribers: 1, last_activity: null, created: null }],
+    posts: posts.map(([id, created, upvotes = 0]) => ({
+      id,
+      title: id,
+      content: null,
+      url: null,
+      type: 'text',
+      submolt: 'general',
+      author: 'alice',
+      upvotes,
+      comment_count: 0,
+      created,
+      comments: [],
+      commentsComplete: true,
+    })),
+    agentProfiles: { alice: { name: 'alice', karma: posts.length } },
+    heatmapData: null,
+  };
+}
+
+/**
+ * Serve the mock Moltbook API (see mockapi.js) on a free port. `before` is
+ * mounted ahead of the mock, e.g. to fail an endpoint. Returns
+ * { base, close() }.
+ */
+function startMockApi({ before = null, ...options } = {}) {
+  const express = require('express');
+  const { createMockServer } = require('../mockapi.js');
+  const app = express();
+  if (before) app.use('/api/v1', before);
+  app.use(createMockServer(options));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        base: `http://127.0.0.1:${server.address().port}/api/v1`,
+        close: () => {
+          server.closeAllConnections();
+          return new Promise(done => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+/**
+ * isolatedModules() with the scraper pointed at an API base, with a test key,
+ * one attempt per request and no rate limit worth waiting on. `env` adds
+ * settings read when the modules load. Returns the modules and the loaded
+ * scraper.
+ */
+function scraperModules(base, env = {}) {
+  env = { MOLTBOOK_API_BASE: base, REQUEST_MAX_ATTEMPTS: '1', SCRAPE_RATE_PER_SEC: '1000', ...env };
+  const previous = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  try {
+    const modules = isolatedModules();
+    // Keys are read on the first request, after the env is restored
+    fs.mkdirSync(path.join(modules.dir, 'config'));
+    fs.writeFileSync(path.join(modules.dir, 'config', 'secrets.json'), JSON.stringify({ apiKeys: ['moltbook_sk_test'] }));
+    return { ...modules, scraper: modules.load('scraper.js') };
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+module.exports = { tempDir, isolatedModules, makeSnapshot, startMockApi, scraperModules };
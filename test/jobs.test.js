@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { isolatedModules } = require('./helpers.js');
+
+test('a job emits started, phase, throttled progress and finished events', async () => {
+  const { load } = isolatedModules();
+  const { startJob, startPhase, reportProgress, finishJob, describeCurrentJob, jobEvents } = load('jobs.js');
+  const events = [];
+  // Serialized on receipt, as the SSE stream does: events share the job's progress object
+  jobEvents.on('event', event => events.push(JSON.parse(JSON.stringify(event))));
+
+  const job = startJob('full', { resume: true });
+  startPhase('posts');
+  reportProgress({ postsPaged: 50 });
+  reportProgress({ postsPaged: 100 }); // within a second of the last: held back
+  assert.deepStrictEqual(describeCurrentJob(), {
+    job: job.id, mode: 'full', status: 'running', phase: 'posts', progress: { postsPaged: 100 }, startedAt: job.startedAt,
+  });
+  await new Promise(resolve => setTimeout(resolve, 1100));
+  finishJob(job, { counts: { posts: 100 } });
+
+  assert.deepStrictEqual(events.map(e => [e.type, e.phase, e.progress.postsPaged]), [
+    ['started', null, undefined],
+    ['phase', 'posts', undefined],
+    ['progress', 'posts', 50],
+    ['progress', 'posts', 100],
+    ['finished', 'posts', 100],
+  ]);
+  assert.deepStrictEqual(events[0].params, { resume: true });
+  assert.deepStrictEqual(events[4].counts, { posts: 100 });
+  assert.strictEqual(describeCurrentJob(), null);
+});
+
+test('progress reported outside a job is ignored', () => {
+  const { load } = isolatedModules();
+  const { reportProgress, startPhase, describeCurrentJob, jobEvents } = load('jobs.js');
+  const events = [];
+  // Serialized on receipt, as the SSE stream does: events share the job's progress object
+  jobEvents.on('event', event => events.push(JSON.parse(JSON.stringify(event))));
+
+  startPhase('posts');
+  reportProgress({ postsPaged: 50 });
+  assert.deepStrictEqual(events, []);
+  assert.strictEqual(describeCurrentJob(), null);
+});
+
+test('a running job is saved on phase changes and every 100 log lines', () => {
+  const { load } = isolatedModules();
+  const { startJob, startPhase, finishJob, getJob, listJobs, JOBS_DIR } = load('jobs.js');
+  const { log } = console;
+  console.log = () => {};
+
+  const job = startJob('full');
+  try {
+    startPhase('posts');
+    assert.deepStrictEqual(getJob(job.id).phases.map(p => p.name), ['posts']);
+
+    for (let i = 1; i <= 150; i++) console.log(`line ${i}`);
+    // Read from disk, as after a crash: the current job is served from memory
+    const saved = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, `${job.id}.json`), 'utf8'));
+    assert.strictEqual(saved.logs.length, 100);
+    assert.strictEqual(saved.logs[99].message, 'line 100');
+  } finally {
+    finishJob(job);
+    console.log = log;
+  }
+  assert.strictEqual(listJobs()[0].logLines, 150);
+});
+
+test('a job killed mid-run keeps its logs and shows as interrupted', async () => {
+  const { dir, load } = isolatedModules();
+  const script = `
+    const { startJob, startPhase } = require('./jobs.js');
+    console.log = () => {};
+    const job = startJob('full');
+    startPhase('comments');
+    for (let i = 0; i < 120; i++) console.warn('slow thread ' + i);
+    process.stdout.write(job.id);
+    process.kill(process.pid, 'SIGKILL');
+  `;
+  const id = await new Promise(resolve => {
+    execFile(process.execPath, ['-e', script], { cwd: dir }, (error, stdout) => resolve(stdout));
+  });
+
+  const job = load('jobs.js').getJob(id);
+  assert.strictEqual(job.status, 'interrupted');
+  assert.deepStrictEqual(job.phases.map(p => p.name), ['comments']);
+  assert.strictEqual(job.logs.length, 100);
+  assert.strictEqual(job.warnings, 100);
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile, spawnSync } = require('child_process');
+const { acquireLock, LockHeldError } = require('../lock.js');
+const { tempDir, isolatedModules, makeSnapshot } = require('./helpers.js');
+
+const holder = (pid, expiresAt) => ({
+  owner: 'crashed scrape',
+  pid,
+  host: os.hostname(),
+  token: 'old',
+  acquiredAt: '2026-01-01T00:00:00.000Z',
+  expiresAt,
+});
+
+test('a held lock is refused until released', () => {
+  const file = path.join(tempDir(), 'test.lock');
+  const lock = acquireLock(file, 'first', { renew: false });
+
+  assert.throws(() => acquireLock(file, 'second', { renew: false }), error => {
+    assert.ok(error instanceof LockHeldError);
+    assert.strictEqual(error.holder.owner, 'first');
+    assert.match(error.message, /test\.lock is held by first, pid \d+/);
+    return true;
+  });
+
+  lock.release();
+  assert.strictEqual(fs.existsSync(file), false);
+  acquireLock(file, 'second', { renew: false }).release();
+});
+
+test('stale locks are taken over', () => {
+  const file = path.join(tempDir(), 'test.lock');
+  const later = new Date(Date.now() + 60000).toISOString();
+
+  // The holder's process is gone
+  const child = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(file, JSON.stringify(holder(child.pid, later)));
+  const lock = acquireLock(file, 'after a crash', { renew: false });
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).owner, 'after a crash');
+  lock.release();
+
+  // The lease ran out, though the process lives
+  fs.writeFileSync(file, JSON.stringify(holder(process.pid, '2026-01-01T00:10:00.000Z')));
+  acquireLock(file, 'after expiry', { renew: false }).release();
+
+  // A live, unexpired lock stays
+  fs.writeFileSync(file, JSON.stringify(holder(process.pid, later)));
+  assert.throws(() => acquireLock(file, 'too early', { renew: false }), LockHeldError);
+});
+
+test('a lock taken over is left alone by its old holder', () => {
+  const file = path.join(tempDir(), 'test.lock');
+  const old = acquireLock(file, 'slow', { leaseMs: 1, renew: false });
+  const start = Date.now();
+  while (Date.now() - start < 5); // let the lease run out
+
+  const lock = acquireLock(file, 'new', { renew: false });
+  assert.strictEqual(old.renew(), false);
+  old.release();
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).owner, 'new');
+  lock.release();
+});
+
+test('withScrapeLock holds the scrape lock while fn runs, and releases it on failure', async () => {
+  const { load } = isolatedModules();
+  const { withScrapeLock, describeScrapeLock, acquireScrapeLock, ScrapeLockedError, LOCK_FILE } = load('lock.js');
+
+  assert.strictEqual(describeScrapeLock(), null);
+  await assert.rejects(withScrapeLock('test scrape', async () => {
+    assert.strictEqual(describeScrapeLock().owner, 'test scrape');
+    assert.strictEqual(describeScrapeLock().token, undefined);
+    assert.throws(() => acquireScrapeLock('another scrape'), error => {
+      assert.ok(error instanceof ScrapeLockedError);
+      assert.match(error.message, /^Another scrape is running \(test scrape, pid \d+/);
+      return true;
+    });
+    throw new Error('scrape failed');
+  }), /scrape failed/);
+
+  assert.strictEqual(fs.existsSync(LOCK_FILE), false);
+  assert.strictEqual(await withScrapeLock('next scrape', () => 'ok'), 'ok');
+});
+
+test('retention.js apply waits for no scrape to be running', async () => {
+  const { dir, dataDir, load } = isolatedModules();
+  const { acquireScrapeLock } = load('lock.js');
+  // Two old snapshots: retention gzips the one not in use
+  for (const time of ['2025-01-01T00:00:00.000Z', '2025-01-02T00:00:00.000Z']) {
+    const file = `snapshot-${time.replace(/:/g, '-').slice(0, 19)}.json`;
+    fs.writeFileSync(path.join(dataDir, file), JSON.stringify(makeSnapshot(time)));
+    fs.writeFileSync(path.join(dataDir, 'latest.json'), JSON.stringify({ file, timestamp: time }));
+  }
+
+  const run = () => new Promise(resolve => {
+    execFile(process.execPath, [path.join(dir, 'retention.js'), 'apply'], (error, stdout, stderr) => {
+      resolve({ code: error?.code ?? 0, stdout, stderr });
+    });
+  });
+  const snapshotFiles = () => fs.readdirSync(dataDir).filter(f => f.startsWith('snapshot-'));
+
+  const lock = acquireScrapeLock('server full scrape');
+  const refused = await run();
+  assert.strictEqual(refused.code, 1);
+  assert.match(refused.stderr, /Another scrape is running \(server full scrape/);
+  assert.deepStrictEqual(snapshotFiles(), ['snapshot-2025-01-01T00-00-00.json', 'snapshot-2025-01-02T00-00-00.json']);
+
+  lock.release();
+  const applied = await run();
+  assert.strictEqual(applied.code, 0, applied.stderr);
+  assert.match(applied.stdout, /Archived 1, deleted 0/);
+  assert.deepStrictEqual(snapshotFiles(), ['snapshot-2025-01-01T00-00-00.json.gz', 'snapshot-2025-01-02T00-00-00.json']);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { counter, histogram, renderMetrics, percentiles } = require('../metrics.js');
+
+test('percentiles uses the nearest rank', () => {
+  const values = [5, 1, 4, 2, 3, 10, 9, 8, 7, 6];
+  assert.deepStrictEqual(percentiles(values), { p50: 5, p90: 9, p99: 10, max: 10 });
+  assert.deepStrictEqual(percentiles([7], [50, 75]), { p50: 7, p75: 7, max: 7 });
+  assert.deepStrictEqual(percentiles([]), { p50: null, p90: null, p99: null, max: null });
+  assert.deepStrictEqual(values.slice(0, 2), [5, 1]);
+});
+
+test('counters are shared by name and keep a series per label set', () => {
+  const requests = counter('test_requests_total', 'Test requests', ['route', 'status']);
+  assert.strictEqual(counter('test_requests_total', 'Ignored'), requests);
+
+  requests.inc({ route: '/a', status: 200 });
+  requests.inc({ route: '/a', status: 200 }, 2);
+  requests.inc({ route: 'say "hi"\n', extra: 'dropped' });
+
+  const lines = renderMetrics().split('\n');
+  assert.ok(lines.includes('# HELP test_requests_total Test requests'));
+  assert.ok(lines.includes('# TYPE test_requests_total counter'));
+  assert.ok(lines.includes('test_requests_total{route="/a",status="200"} 3'));
+  assert.ok(lines.includes('test_requests_total{route="say \\"hi\\"\\n",status=""} 1'));
+});
+
+test('histograms render cumulative buckets, sum and count', () => {
+  const duration = histogram('test_duration_seconds', 'Test latency', ['route'], [1, 0.1]);
+  for (const value of [0.05, 0.5, 0.5, 2]) duration.observe({ route: '/a' }, value);
+
+  const text = renderMetrics();
+  assert.ok(text.endsWith('\n'));
+  const lines = text.split('\n').filter(line => line.startsWith('test_duration_seconds'));
+  assert.deepStrictEqual(lines, [
+    'test_duration_seconds_bucket{route="/a",le="0.1"} 1',
+    'test_duration_seconds_bucket{route="/a",le="1"} 3',
+    'test_duration_seconds_bucket{route="/a",le="+Inf"} 4',
+    'test_duration_seconds_sum{route="/a"} 3.05',
+    'test_duration_seconds_count{route="/a"} 4',
+  ]);
+});
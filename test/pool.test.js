@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TokenBucket, runPool, sleep } = require('../pool.js');
+
+test('runPool keeps at most `concurrency` workers in flight and results in order', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await runPool([30, 10, 20, 0, 10], 2, async (ms, i) => {
+    peak = Math.max(peak, ++inFlight);
+    await sleep(ms);
+    inFlight--;
+    return `${i}:${ms}`;
+  });
+  assert.strictEqual(peak, 2);
+  assert.deepStrictEqual(results, ['0:30', '1:10', '2:20', '3:0', '4:10']);
+});
+
+test('runPool handles empty input and fails on a worker rejection', async () => {
+  assert.deepStrictEqual(await runPool([], 4, () => assert.fail('no items')), []);
+  await assert.rejects(runPool([1, 2, 3], 2, async n => {
+    if (n === 2) throw new Error('worker failed');
+    return n;
+  }), /worker failed/);
+});
+
+test('TokenBucket allows a burst, then paces takes at its rate', async () => {
+  const bucket = new TokenBucket(50, 3); // a token every 20ms
+  const start = Date.now();
+  const times = [];
+  await Promise.all(Array.from({ length: 6 }, () => bucket.take().then(() => times.push(Date.now() - start))));
+
+  // The burst is served together; three more tokens take 20ms each, with a
+  // little slack for timers
+  assert.ok(times[2] - times[0] < times[5] - times[2], `burst: ${times}`);
+  assert.ok(times[5] - times[2] >= 55, `paced: ${times}`);
+  assert.ok(times.every((t, i) => i === 0 || t >= times[i - 1]), `in order: ${times}`);
+});
+
+test('TokenBucket never holds more than its capacity', async () => {
+  const bucket = new TokenBucket(1000, 2);
+  await sleep(20); // long enough to refill far past 2 tokens
+  bucket.refill();
+  assert.strictEqual(bucket.tokens, 2);
+  assert.strictEqual(new TokenBucket(0.5).capacity, 1);
+});
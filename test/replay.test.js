@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createMockServer } = require('../mockapi.js');
+const { fixtureName } = require('../api.js');
+const { flattenComments } = require('../threads.js');
+const { tempDir, isolatedModules } = require('./helpers.js');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const fixture = name => JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+
+let server;
+let apiBase;
+
+before(async () => {
+  server = createMockServer({ fixturesDir: FIXTURES }).listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  apiBase = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(() => server.close());
+
+function runScraper(dir, args = []) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, [path.join(dir, 'scraper.js'), ...args], {
+      cwd: dir,
+      timeout: 120000,
+      env: { ...process.env, MOLTBOOK_API_BASE: apiBase, MOLTBOOK_API_KEY: 'test', SCRAPE_RATE_PER_SEC: '200' },
+    }, (error, stdout, stderr) => {
+      if (error) reject(new Error(`${error.message}\n${stdout}\n${stderr}`));
+      else resolve(stdout);
+    });
+  });
+}
+
+test('a full scrape of the mock stores every fixture post, comment, submolt and profile', async () => {
+  const { dir, load } = isolatedModules();
+  await runScraper(dir);
+
+  const { loadLatestSnapshot, readLatest } = load('snapshots.js');
+  const snapshot = loadLatestSnapshot();
+  const posts = fixture('posts.json');
+  const comments = fixture('comments.json');
+
+  assert.strictEqual(readLatest().kind, 'base');
+  assert.deepStrictEqual(snapshot.posts.map(p => p.id).sort(), posts.map(p => p.id).sort());
+  assert.deepStrictEqual(snapshot.submolts.map(s => s.name).sort(), fixture('submolts.json').map(s => s.name).sort());
+  assert.deepStrictEqual(Object.keys(snapshot.agentProfiles).sort(), Object.keys(fixture('agents.json')).sort());
+  for (const post of snapshot.posts) {
+    const expected = flattenComments(comments[post.id] || []).map(c => c.id).sort();
+    assert.deepStrictEqual(post.comments.map(c => c.id).sort(), expected, `comments of ${post.id}`);
+  }
+  assert.strictEqual(snapshot.stats.requests.failures, 0);
+});
+
+test('the mock replays recorded responses verbatim', async () => {
+  const fixturesDir = tempDir('moltwatch-fixtures-');
+  fs.mkdirSync(path.join(fixturesDir, 'recorded'));
+  const recorded = '{"success":true,"submolts":[{"name":"recorded"}],"has_more":false}';
+  fs.writeFileSync(path.join(fixturesDir, 'recorded', fixtureName('/submolts', { limit: 100, offset: 0 })), recorded);
+
+  const mock = createMockServer({ fixturesDir }).listen(0, '127.0.0.1');
+  await new Promise(resolve => mock.once('listening', resolve));
+  try {
+    const base = `http://127.0.0.1:${mock.address().port}/api/v1`;
+    const hit = await fetch(`${base}/submolts?offset=0&limit=100`);
+    assert.strictEqual(await hit.text(), recorded);
+    // Anything not recorded falls back to the (here empty) collection fixtures
+    assert.deepStrictEqual((await (await fetch(`${base}/submolts?limit=5`)).json()).submolts, []);
+  } finally {
+    mock.close();
+  }
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isolatedModules, makeSnapshot } = require('./helpers.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function setUp() {
+  const modules = isolatedModules();
+  return { ...modules.load('snapshots.js'), ...modules.load('repository.js') };
+}
+
+test('getLatestSnapshot throws before the first scrape', () => {
+  const { getLatestSnapshot } = setUp();
+  assert.throws(() => getLatestSnapshot(), /No snapshot data found/);
+});
+
+test('derived values are built once per latest snapshot', () => {
+  const { saveSnapshot, getLatestSnapshot, cached, invalidate } = setUp();
+  saveSnapshot(makeSnapshot('2026-01-01T00:00:00.000Z', [['p1', '2026-01-01T00:00:00Z']]));
+
+  let builds = 0;
+  const build = () => ({ build: ++builds });
+  assert.strictEqual(getLatestSnapshot(), getLatestSnapshot());
+  assert.strictEqual(cached('test', build), cached('test', build));
+  assert.strictEqual(builds, 1);
+
+  invalidate();
+  assert.deepStrictEqual(cached('test', build), { build: 2 });
+});
+
+test('a new snapshot on disk replaces the cached one', async () => {
+  const { saveSnapshot, getLatestSnapshot } = setUp();
+  saveSnapshot(makeSnapshot('2026-01-01T00:00:00.000Z', [['p1', '2026-01-01T00:00:00Z']]));
+  assert.strictEqual(getLatestSnapshot().posts.length, 1);
+
+  // As a scrape in another process would: only the watcher tells us
+  saveSnapshot(makeSnapshot('2026-01-02T00:00:00.000Z', [['p2', '2026-01-02T00:00:00Z'], ['p1', '2026-01-01T00:00:00Z']]));
+  for (let i = 0; i < 100 && getLatestSnapshot().posts.length === 1; i++) await sleep(20);
+  assert.strictEqual(getLatestSnapshot().timestamp, '2026-01-02T00:00:00.000Z');
+});
+
+test('getPosts and getComments filter the latest snapshot', () => {
+  const { saveSnapshot, getPosts, getComments, getPostsScope } = setUp();
+  const snapshot = makeSnapshot('2026-01-03T00:00:00.000Z', [
+    ['p3', '2026-01-03T00:00:00.000Z'],
+    ['p2', '2026-01-02T00:00:00.000Z'],
+    ['p1', '2026-01-01T00:00:00.000Z'],
+  ]);
+  snapshot.posts[1].author = 'bob';
+  snapshot.posts[1].comments = [
+    { id: 'c1', parent_id: null, author: 'alice', body: 'hi', upvotes: 0, created: '2026-01-02T01:00:00.000Z', depth: 0, reply_ids: [] },
+  ];
+  snapshot.posts[1].comment_count = 1;
+  saveSnapshot(snapshot);
+
+  assert.strictEqual(getPostsScope(), 'latest');
+  assert.deepStrictEqual(getPosts({ since: '2026-01-02T00:00:00.000Z' }).map(p => p.id), ['p3', 'p2']);
+  assert.deepStrictEqual(getPosts({ until: '2026-01-02T00:00:00.000Z' }).map(p => p.id), ['p1']);
+  assert.deepStrictEqual(getPosts({ author: 'alice', limit: 1, offset: 1 }).map(p => p.id), ['p1']);
+  assert.strictEqual(getPosts()[0].comments, undefined);
+
+  assert.deepStrictEqual(getComments({ author: 'alice' }).map(c => [c.id, c.post_id]), [['c1', 'p2']]);
+  assert.deepStrictEqual(getComments({ postId: 'p1' }), []);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { isolatedModules, makeSnapshot } = require('./helpers.js');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const POLICY = { keepAllHours: 48, dailyDays: 7, weeklyWeeks: 4 };
+
+const RECENT = 'snapshot-2026-03-01T10-00-00.json'; // latest, a delta of SAME_DAY_OLDER
+const DAILY = 'snapshot-2026-02-27T08-00-00.json'; // also a delta of SAME_DAY_OLDER
+const SAME_DAY_OLDER = 'snapshot-2026-02-27T06-00-00.json';
+const WEEKLY = 'snapshot-2026-02-10T00-00-00.json';
+const EXPIRED = 'snapshot-2026-01-01T00-00-00.json';
+
+function setUp() {
+  const modules = isolatedModules();
+  const { createDelta } = modules.load('snapshots.js');
+  const write = (file, data) => fs.writeFileSync(path.join(modules.dataDir, file), JSON.stringify(data));
+
+  const base = makeSnapshot('2026-02-27T06:00:00.000Z', [['p1', '2026-02-27T05:00:00Z']]);
+  const snapshots = {
+    [EXPIRED]: makeSnapshot('2026-01-01T00:00:00.000Z'),
+    [WEEKLY]: makeSnapshot('2026-02-10T00:00:00.000Z', [['p0', '2026-02-09T00:00:00Z']]),
+    [SAME_DAY_OLDER]: base,
+    [DAILY]: makeSnapshot('2026-02-27T08:00:00.000Z', [['p1', '2026-02-27T05:00:00Z', 3]]),
+    [RECENT]: makeSnapshot('2026-03-01T10:00:00.000Z', [['p2', '2026-03-01T09:00:00Z'], ['p1', '2026-02-27T05:00:00Z', 9]]),
+  };
+
+  write(EXPIRED, snapshots[EXPIRED]);
+  write(WEEKLY, snapshots[WEEKLY]);
+  write(SAME_DAY_OLDER, base);
+  write(DAILY, createDelta(snapshots[DAILY], base, SAME_DAY_OLDER, 1));
+  write(RECENT, createDelta(snapshots[RECENT], base, SAME_DAY_OLDER, 1));
+  write('latest.json', { timestamp: snapshots[RECENT].timestamp, file: RECENT, kind: 'delta', depth: 1 });
+
+  return { ...modules, snapshots };
+}
+
+test('planRetention keeps recent snapshots, then the last of each day and week', () => {
+  const { load } = setUp();
+  const plan = load('retention.js').planRetention(POLICY, NOW);
+
+  assert.deepStrictEqual(plan.keep, [RECENT]);
+  assert.deepStrictEqual(plan.archive, [DAILY, WEEKLY]);
+  assert.deepStrictEqual(plan.remove, [SAME_DAY_OLDER, EXPIRED]);
+});
+
+test('planRetention always keeps the snapshot latest.json points at', () => {
+  const { load, dataDir } = setUp();
+  fs.writeFileSync(path.join(dataDir, 'latest.json'), JSON.stringify({ file: EXPIRED }));
+  const plan = load('retention.js').planRetention(POLICY, NOW);
+  assert.ok(plan.keep.includes(EXPIRED));
+});
+
+test('applyRetention rewrites deltas whose base is deleted, so every kept snapshot still loads', () => {
+  const { load, dataDir, snapshots } = setUp();
+  const { planRetention, applyRetention } = load('retention.js');
+  const { listSnapshots, loadSnapshot, readSnapshotFile, isDelta, readLatest } = load('snapshots.js');
+
+  const result = applyRetention(planRetention(POLICY, NOW));
+
+  assert.deepStrictEqual(result, {
+    compacted: [RECENT],
+    archived: [`${WEEKLY}.gz`, `${DAILY}.gz`],
+    removed: [SAME_DAY_OLDER, EXPIRED],
+  });
+  assert.deepStrictEqual(listSnapshots(), [`${WEEKLY}.gz`, `${DAILY}.gz`, RECENT]);
+  assert.strictEqual(isDelta(readSnapshotFile(RECENT)), false);
+  assert.strictEqual(readLatest().kind, 'base');
+  for (const file of [RECENT, DAILY, WEEKLY]) {
+    assert.deepStrictEqual(loadSnapshot(file), snapshots[file]);
+  }
+  assert.ok(!fs.existsSync(path.join(dataDir, SAME_DAY_OLDER)));
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseCron, nextCronTime, nextScheduledRun } = require('../scheduler.js');
+const { isolatedModules } = require('./helpers.js');
+
+test('parseCron expands lists, ranges and steps', () => {
+  const cron = parseCron('0,30 */6 1-3 * 1-5/2');
+  assert.deepStrictEqual([...cron.minutes], [0, 30]);
+  assert.deepStrictEqual([...cron.hours], [0, 6, 12, 18]);
+  assert.deepStrictEqual([...cron.days], [1, 2, 3]);
+  assert.strictEqual(cron.months.size, 12);
+  assert.deepStrictEqual([...cron.weekdays], [1, 3, 5]);
+  assert.strictEqual(cron.anyDay, false);
+  assert.strictEqual(cron.anyWeekday, false);
+});
+
+test('parseCron runs a single-value step to the end of the range', () => {
+  assert.deepStrictEqual([...parseCron('5/15 * * * *').minutes], [5, 20, 35, 50]);
+});
+
+test('parseCron treats day of week 7 as Sunday', () => {
+  assert.ok(parseCron('0 0 * * 7').weekdays.has(0));
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /expected 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid cron minute/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /Invalid cron hour/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid cron minute/);
+  assert.throws(() => parseCron('* * * jan *'), /Invalid cron month/);
+});
+
+test('nextCronTime returns the first run strictly after the given time', () => {
+  const cron = parseCron('0 */2 * * *');
+  assert.deepStrictEqual(nextCronTime(cron, new Date(2026, 0, 1, 3, 15)), new Date(2026, 0, 1, 4, 0));
+  assert.deepStrictEqual(nextCronTime(cron, new Date(2026, 0, 1, 4, 0)), new Date(2026, 0, 1, 6, 0));
+  assert.deepStrictEqual(nextCronTime(cron, new Date(2026, 0, 1, 23, 30)), new Date(2026, 0, 2, 0, 0));
+});
+
+test('nextCronTime matches either day field when both are restricted', () => {
+  // The 15th, or any Monday: 2026-01-05 is a Monday
+  const cron = parseCron('0 0 15 * 1');
+  assert.deepStrictEqual(nextCronTime(cron, new Date(2026, 0, 1)), new Date(2026, 0, 5));
+  assert.deepStrictEqual(nextCronTime(cron, new Date(2026, 0, 13)), new Date(2026, 0, 15));
+});
+
+test('nextCronTime finds leap days and gives up on impossible dates', () => {
+  assert.deepStrictEqual(nextCronTime(parseCron('0 0 29 2 *'), new Date(2026, 0, 1)), new Date(2028, 1, 29));
+  assert.strictEqual(nextCronTime(parseCron('0 0 30 2 *'), new Date(2026, 0, 1)), null);
+});
+
+test('nextScheduledRun prefers a full scrape when both fire together', () => {
+  const schedule = { full: parseCron('0 4 * * *'), incremental: parseCron('0 */2 * * *') };
+  assert.deepStrictEqual(nextScheduledRun(schedule, new Date(2026, 0, 1, 3, 0)), { mode: 'full', at: new Date(2026, 0, 1, 4, 0) });
+  assert.deepStrictEqual(nextScheduledRun(schedule, new Date(2026, 0, 1, 4, 0)), { mode: 'incremental', at: new Date(2026, 0, 1, 6, 0) });
+});
+
+test('recordScrape persists the last run of each mode', () => {
+  const { dataDir, load } = isolatedModules();
+  const { recordScrape, loadSchedulerState } = load('scheduler.js');
+
+  recordScrape('full', new Date('2026-01-01T04:00:00Z'));
+  recordScrape('incremental', new Date('2026-01-01T06:00:00Z'));
+  const state = loadSchedulerState();
+  assert.strictEqual(state.lastFullScrape, '2026-01-01T04:00:00.000Z');
+  assert.strictEqual(state.lastIncrementalScrape, '2026-01-01T06:00:00.000Z');
+  assert.strictEqual(state.lastTargetedScrape, null);
+  assert.throws(() => recordScrape('weekly'), /Unknown scrape mode/);
+  assert.deepStrictEqual(fs.readdirSync(dataDir), ['scheduler.json']);
+});
+
+test('planStartupScrape picks up the schedule from saved state', () => {
+  const { dataDir, load } = isolatedModules();
+  const { planStartupScrape } = load('scheduler.js');
+  const schedule = { full: parseCron('0 4 * * *'), incremental: parseCron('0 */2 * * *') };
+  const at = (h, m = 0) => new Date(2026, 0, 2, h, m);
+
+  assert.strictEqual(planStartupScrape(schedule, {}, at(5)).reason, 'no snapshot yet');
+
+  fs.writeFileSync(path.join(dataDir, 'latest.json'), JSON.stringify({ timestamp: at(4, 30).toISOString() }));
+  const state = { lastFullScrape: at(4, 30).toISOString(), lastIncrementalScrape: null };
+  assert.strictEqual(planStartupScrape(schedule, state, at(5)).mode, null);
+  assert.strictEqual(planStartupScrape(schedule, state, at(6, 1)).mode, 'incremental');
+  assert.strictEqual(planStartupScrape(schedule, state, new Date(2026, 0, 3, 4, 1)).mode, 'full');
+  // Without saved state the latest snapshot counts as the last full scrape
+  assert.strictEqual(planStartupScrape(schedule, {}, at(5)).mode, null);
+
+  fs.writeFileSync(path.join(dataDir, 'scrape-work.json'), JSON.stringify({ updatedAt: new Date().toISOString() }));
+  assert.deepStrictEqual(planStartupScrape(schedule, state, at(5)), { mode: 'full', reason: 'resuming interrupted full scrape' });
+});
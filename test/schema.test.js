@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { migrate, validateSnapshot, schemaVersionOf, SCHEMA_VERSION } = require('../schema.js');
+
+// An unversioned snapshot as the first scrapers wrote it: raw API objects, no submolt list
+const legacySnapshot = () => ({
+  timestamp: '2026-01-01T00:00:00.000Z',
+  posts: [{
+    id: 'p1',
+    title: 'Hello',
+    body: 'First post',
+    submolt: { name: 'general', display_name: 'General', subscriber_count: 3 },
+    author: { name: 'alice' },
+    upvote_count: 4,
+    comment_count: 2,
+    created_at: '2026-01-01T00:00:00Z',
+    comments: [
+      { id: 'c1', author: { name: 'bob' }, content: 'hi', created_at: '2026-01-01T00:01:00Z' },
+      { id: 'c2', parent_id: 'c1', author: { name: 'alice' }, content: 'hello', created_at: '2026-01-01T00:02:00Z' },
+    ],
+  }],
+});
+
+test('migrate upgrades an unversioned snapshot to the canonical shape', () => {
+  assert.strictEqual(schemaVersionOf(legacySnapshot()), 0);
+  const migrated = migrate(legacySnapshot());
+
+  assert.strictEqual(migrated.schemaVersion, SCHEMA_VERSION);
+  assert.deepStrictEqual(validateSnapshot(migrated), []);
+  assert.deepStrictEqual(migrated.submolts, [
+    { name: 'general', display_name: 'General', subscribers: 3, last_activity: null, created: null },
+  ]);
+
+  const [post] = migrated.posts;
+  assert.strictEqual(post.author, 'alice');
+  assert.strictEqual(post.submolt, 'general');
+  assert.strictEqual(post.content, 'First post');
+  assert.strictEqual(post.upvotes, 4);
+  assert.strictEqual(post.type, 'text');
+  assert.strictEqual(post.commentsComplete, true);
+  assert.deepStrictEqual(post.comments.map(c => [c.id, c.author, c.depth]), [['c1', 'bob', 0], ['c2', 'alice', 1]]);
+});
+
+test('migrate flags threads with fewer comments than comment_count', () => {
+  const snapshot = legacySnapshot();
+  snapshot.posts[0].comment_count = 5;
+  assert.strictEqual(migrate(snapshot).posts[0].commentsComplete, false);
+});
+
+test('migrate upgrades the upserted items of a delta', () => {
+  const delta = {
+    kind: 'delta',
+    schemaVersion: 1,
+    posts: { upserted: [{ ...migrate(legacySnapshot()).posts[0], commentsComplete: undefined, comment_count: 9 }], removed: [] },
+    submolts: { upserted: [], removed: [] },
+  };
+  const migrated = migrate(delta);
+  assert.strictEqual(migrated.schemaVersion, SCHEMA_VERSION);
+  assert.strictEqual(migrated.posts.upserted[0].commentsComplete, false);
+  assert.deepStrictEqual(migrated.posts.removed, []);
+});
+
+test('migrate leaves current snapshots alone and refuses newer ones', () => {
+  const current = migrate(legacySnapshot());
+  assert.strictEqual(migrate(current), current);
+  assert.throws(() => migrate({ ...current, schemaVersion: SCHEMA_VERSION + 1 }), /newer than this code supports/);
+});
+
+test('validateSnapshot reports where a snapshot breaks the schema', () => {
+  const snapshot = migrate(legacySnapshot());
+  snapshot.posts[0].upvotes = 'many';
+  delete snapshot.agentProfiles;
+  assert.deepStrictEqual(validateSnapshot(snapshot), [
+    { path: '$', message: 'missing required property "agentProfiles"' },
+    { path: '$.posts[0].upvotes', message: 'expected integer or null, got string' },
+  ]);
+});
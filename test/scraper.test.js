@@ -0,0 +1,293 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { formatPost, threadGrew, selectProfilesToRefresh, mergeProfiles, parseScope } = require('../scraper.js');
+const { threadComplete } = require('../threads.js');
+const { tempDir, makeSnapshot, startMockApi, scraperModules } = require('./helpers.js');
+
+/**
+ * A fixtures directory for the mock API: `count` posts, newest first, and
+ * whatever else is given ({ 'comments.json': {...}, ... })
+ */
+function writeFixtures(count, files = {}) {
+  const dir = tempDir();
+  const posts = Array.from({ length: count }, (_, i) => ({
+    id: `p${i}`,
+    title: `Post ${i}`,
+    content: `Body ${i}`,
+    url: null,
+    upvotes: i,
+    comment_count: 0,
+    created_at: new Date(Date.UTC(2026, 0, 1) - i * 60000).toISOString(),
+    submolt: { name: i % 2 ? 'general' : 'tech' },
+    author: { name: i % 3 ? 'alice' : 'bob' },
+  }));
+  fs.writeFileSync(path.join(dir, 'posts.json'), JSON.stringify(posts));
+  for (const [file, data] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+  }
+  return { dir, posts };
+}
+
+// Scrape progress on stdout can garble the test runner's stream there
+const quiet = t => t.mock.method(console, 'log', () => {});
+
+const ids = (from, to) => new Set(Array.from({ length: to - from }, (_, i) => `p${from + i}`));
+
+const stored = (comment_count, comments, extra = {}) => ({
+  comment_count,
+  comments: Array.from({ length: comments }, (_, i) => ({ id: `c${i}` })),
+  commentsComplete: comments >= comment_count,
+  ...extra,
+});
+
+test('threadGrew re-checks threads whose comment count went up', () => {
+  assert.strictEqual(threadGrew({ comment_count: 6 }, stored(5, 5)), true);
+  assert.strictEqual(threadGrew({ comment_count: 5 }, stored(5, 5)), false);
+  assert.strictEqual(threadGrew({ comment_count: 4 }, stored(5, 5)), false);
+});
+
+test('threadGrew leaves alone threads whose count the API never fills', () => {
+  // Two comments deleted: fetched in full, but short of comment_count for good
+  const post = stored(10, 8);
+  assert.strictEqual(post.commentsComplete, false);
+  assert.strictEqual(threadGrew({ comment_count: 10 }, post), false);
+  assert.strictEqual(threadGrew({ comment_count: 11 }, post), true);
+});
+
+test('threadGrew keeps re-checking threads whose last fetch was cut short', () => {
+  assert.strictEqual(threadGrew({ comment_count: 10 }, stored(10, 4, { commentsCutOff: true })), true);
+  assert.strictEqual(threadGrew({ comment_count: 4 }, stored(10, 4, { commentsCutOff: true })), false);
+});
+
+test('a failed submolt listing keeps the previous snapshot\'s submolts', async (t) => {
+  quiet(t);
+  let failSubmolts = false;
+  const api = await startMockApi({
+    before: (req, res, next) => {
+      if (failSubmolts && req.path === '/submolts') return res.status(500).json({ error: 'down' });
+      next();
+    },
+  });
+  t.after(() => api.close());
+  const { scraper } = scraperModules(api.base);
+
+  const full = await scraper.runScrape({ resume: false });
+  assert.strictEqual(full.submolts.length, 24);
+
+  failSubmolts = true;
+  const incremental = await scraper.runIncrementalScrape();
+  assert.deepStrictEqual(incremental.submolts, full.submolts);
+  assert.strictEqual(incremental.stats.totalSubmolts, 24);
+  assert.strictEqual(incremental.stats.removedSubmolts, 0);
+
+  const second = await scraper.runScrape({ resume: false });
+  assert.deepStrictEqual(second.submolts, full.submolts);
+  assert.strictEqual(second.stats.active7d, full.stats.active7d);
+});
+
+test('scrapeNewPosts pages until it reaches known posts', async (t) => {
+  quiet(t);
+  const { dir } = writeFixtures(120);
+  let failFrom = Infinity;
+  const api = await startMockApi({
+    fixturesDir: dir,
+    before: (req, res, next) => {
+      if (req.path === '/posts' && parseInt(req.query.offset) >= failFrom) return res.status(500).json({ error: 'down' });
+      next();
+    },
+  });
+  t.after(() => api.close());
+  const { scraper } = scraperModules(api.base);
+
+  // 50 posts a page: the second page reaches p60, the newest known post
+  let walk = await scraper.scrapeNewPosts(ids(60, 120));
+  assert.deepStrictEqual(
+    { pages: walk.pages, posts: walk.posts.length, newCount: walk.newCount, reachedKnown: walk.reachedKnown, hitPageCap: walk.hitPageCap },
+    { pages: 2, posts: 100, newCount: 60, reachedKnown: true, hitPageCap: false });
+
+  walk = await scraper.scrapeNewPosts(ids(60, 120), 1);
+  assert.deepStrictEqual([walk.pages, walk.newCount, walk.reachedKnown, walk.hitPageCap], [1, 50, false, true]);
+
+  // Nothing known: the walk ends with the listing
+  walk = await scraper.scrapeNewPosts(new Set());
+  assert.deepStrictEqual([walk.pages, walk.newCount, walk.reachedKnown, walk.hitPageCap], [3, 120, false, false]);
+
+  // A failed page ends the walk with what it has, without claiming the cap
+  failFrom = 50;
+  walk = await scraper.scrapeNewPosts(ids(60, 120));
+  assert.deepStrictEqual([walk.pages, walk.newCount, walk.reachedKnown, walk.hitPageCap], [1, 50, false, false]);
+});
+
+test('formatPost keeps post bodies, link targets and their type', () => {
+  const text = formatPost({
+    id: 'p1',
+    title: 'Hello',
+    content: 'Body text',
+    url: null,
+    upvotes: 3,
+    comment_count: 0,
+    created_at: '2026-01-01T00:00:00Z',
+    submolt: { name: 'general' },
+    author: { name: 'alice' },
+  });
+  assert.deepStrictEqual(text, {
+    id: 'p1',
+    title: 'Hello',
+    content: 'Body text',
+    url: null,
+    type: 'text',
+    submolt: 'general',
+    author: 'alice',
+    upvotes: 3,
+    comment_count: 0,
+    created: '2026-01-01T00:00:00Z',
+    comments: [],
+    commentsComplete: true,
+  });
+
+  const link = formatPost({ id: 'p2', url: 'https://example.com', body: 'From body', upvote_count: 7 });
+  assert.strictEqual(link.type, 'link');
+  assert.strictEqual(link.url, 'https://example.com');
+  assert.strictEqual(link.content, 'From body');
+  assert.strictEqual(link.upvotes, 7);
+  assert.deepStrictEqual([link.title, link.submolt, link.author, link.created], [null, null, null, null]);
+
+  assert.strictEqual(formatPost({ id: 'p3', type: 'image', url: 'https://example.com/a.png' }).type, 'image');
+  assert.strictEqual(formatPost({ id: 'p4', content: '' }).content, null);
+});
+
+test('selectProfilesToRefresh takes active agents, then the least recently fetched', () => {
+  const profiles = {
+    fresh: { name: 'fresh', fetched_at: '2026-01-03T00:00:00Z' },
+    stale: { name: 'stale', fetched_at: '2026-01-01T00:00:00Z' },
+    legacy: { name: 'legacy' },
+    middle: { name: 'middle', fetched_at: '2026-01-02T00:00:00Z' },
+    active: { name: 'active', fetched_at: '2026-01-04T00:00:00Z' },
+  };
+  const activeAuthors = new Set(['active', 'newcomer']);
+
+  assert.deepStrictEqual(selectProfilesToRefresh(profiles, activeAuthors, 2), ['active', 'legacy', 'stale']);
+  assert.deepStrictEqual(selectProfilesToRefresh(profiles, activeAuthors, 0), ['active']);
+  assert.deepStrictEqual(selectProfilesToRefresh(profiles, new Set(), 10), ['legacy', 'stale', 'middle', 'fresh', 'active']);
+});
+
+test('mergeProfiles keeps the last good profile when a refresh fails', () => {
+  const existing = {
+    alice: { name: 'alice', karma: 5, fetched_at: '2026-01-01T00:00:00Z' },
+    bob: { name: 'bob', karma: 1, fetched_at: '2026-01-01T00:00:00Z' },
+  };
+  const merged = mergeProfiles(existing, {
+    alice: { name: 'alice', error: 'API error 500', fetched_at: '2026-01-02T00:00:00Z' },
+    bob: { name: 'bob', karma: 2, fetched_at: '2026-01-02T00:00:00Z' },
+    carol: { name: 'carol', error: 'API error 404', fetched_at: '2026-01-02T00:00:00Z' },
+  });
+
+  // The old fetched_at keeps alice at the front of the next refresh
+  assert.deepStrictEqual(merged.alice, { ...existing.alice, refresh_error: 'API error 500' });
+  assert.strictEqual(merged.bob.karma, 2);
+  assert.strictEqual(merged.carol.error, 'API error 404');
+  assert.strictEqual(existing.alice.refresh_error, undefined);
+});
+
+test('parseScope reads submolts and agents, dropping duplicates', () => {
+  assert.deepStrictEqual(parseScope('submolt:General, agent:Foo,m/tech,u/Bar, submolt:general,'), {
+    submolts: ['general', 'tech'],
+    agents: ['Foo', 'Bar'],
+  });
+  assert.strictEqual(parseScope(''), null);
+  assert.strictEqual(parseScope(' , '), null);
+  assert.throws(() => parseScope('general'), /Invalid scope "general"/);
+});
+
+test('a targeted scrape only refreshes and prunes posts in scope', async (t) => {
+  quiet(t);
+  // Fixture posts p0-p5: even ones in m/tech, p0 and p3 by bob, the rest by alice
+  const submolt = name => ({ name, display_name: name, subscriber_count: 1, created_at: null, last_activity_at: null });
+  const { dir, posts } = writeFixtures(6, { 'submolts.json': [submolt('general'), submolt('tech')] });
+  const api = await startMockApi({ fixturesDir: dir });
+  t.after(() => api.close());
+  const { scraper, load } = scraperModules(api.base);
+
+  // The previous snapshot has stale counts, and a post gone from each submolt
+  const previous = makeSnapshot('2025-12-31T00:00:00.000Z', [
+    ...posts.map(p => [p.id, p.created_at, 100]),
+    ['gone-tech', '2025-12-30T00:00:00.000Z'],
+    ['gone-general', '2025-12-30T00:00:00.000Z'],
+  ]);
+  for (const post of previous.posts) {
+    const i = parseInt(post.id.slice(1));
+    post.submolt = post.id === 'gone-tech' || i % 2 === 0 ? 'tech' : 'general';
+    post.author = i % 3 === 0 ? 'bob' : 'alice';
+  }
+  load('snapshots.js').saveSnapshot(previous);
+
+  const snapshot = await scraper.runTargetedScrape(parseScope('m/tech,u/bob'));
+  const upvotes = Object.fromEntries(snapshot.posts.map(p => [p.id, p.upvotes]));
+  assert.deepStrictEqual(upvotes, { p0: 0, p1: 100, p2: 2, p3: 3, p4: 4, p5: 100, 'gone-general': 0 });
+  assert.deepStrictEqual(snapshot.stats.targetedScope, { submolts: ['tech'], agents: ['bob'] });
+  assert.strictEqual(snapshot.stats.removedPosts, 1);
+  assert.deepStrictEqual(snapshot.submolts.map(s => [s.name, s.subscribers]), [['general', 1], ['tech', 1]]);
+});
+
+test('comment threads are paged through, flattened and flagged when cut short', async (t) => {
+  quiet(t);
+  const comment = (postId, n, extra = {}) => ({
+    id: `${postId}-c${n}`,
+    parent_id: null,
+    content: `Comment ${n}`,
+    upvotes: 0,
+    created_at: new Date(Date.UTC(2026, 0, 1) + n * 1000).toISOString(),
+    author: { name: 'carol' },
+    ...extra,
+  });
+  const thread = (postId, count) => Array.from({ length: count }, (_, n) => comment(postId, n));
+  const comments = {
+    p0: thread('p0', 150),
+    p1: thread('p1', 250), // past the 2-page cap
+    p2: [comment('p2', 0, { replies: [comment('p2', 1), comment('p2', 2, { replies: [comment('p2', 3)] })] })],
+    p3: thread('p3', 150), // the second page fails
+    p4: thread('p4', 1), // one comment deleted
+  };
+  const { dir, posts } = writeFixtures(6, { 'comments.json': comments });
+  const counts = { p0: 150, p1: 250, p2: 4, p3: 150, p4: 2, p5: 3 };
+  fs.writeFileSync(path.join(dir, 'posts.json'), JSON.stringify(posts.map(p => ({ ...p, comment_count: counts[p.id] }))));
+
+  const api = await startMockApi({
+    fixturesDir: dir,
+    before: (req, res, next) => {
+      const failing = (req.path === '/posts/p3/comments' && req.query.offset === '100') || req.path === '/posts/p5/comments';
+      if (failing) return res.status(500).json({ error: 'down' });
+      next();
+    },
+  });
+  t.after(() => api.close());
+  const { scraper } = scraperModules(api.base, { COMMENT_MAX_PAGES: '2' });
+
+  const snapshot = await scraper.runScrape({ resume: false });
+  const byId = Object.fromEntries(snapshot.posts.map(p => [p.id, p]));
+  const summary = id => [byId[id].comments.length, byId[id].commentsComplete, byId[id].commentsCutOff === true];
+
+  assert.deepStrictEqual(summary('p0'), [150, true, false]);
+  assert.deepStrictEqual(summary('p1'), [200, false, true]);
+  assert.deepStrictEqual(summary('p2'), [4, true, false]);
+  assert.deepStrictEqual(summary('p3'), [100, false, true]);
+  assert.deepStrictEqual(summary('p4'), [1, false, false]);
+  assert.deepStrictEqual(summary('p5'), [0, false, true]);
+  assert.strictEqual(snapshot.stats.incompleteThreads, 4);
+
+  assert.deepStrictEqual(byId.p2.comments.map(c => [c.id, c.parent_id, c.depth]), [
+    ['p2-c0', null, 0],
+    ['p2-c1', 'p2-c0', 1],
+    ['p2-c2', 'p2-c0', 1],
+    ['p2-c3', 'p2-c2', 2],
+  ]);
+});
+
+test('threadComplete compares the comments held with comment_count', () => {
+  assert.strictEqual(threadComplete({ comment_count: 2, comments: [{}, {}] }), true);
+  assert.strictEqual(threadComplete({ comment_count: 3, comments: [{}, {}] }), false);
+  assert.strictEqual(threadComplete({ comment_count: null }, []), true);
+  assert.strictEqual(threadComplete({ comment_count: 1 }, [{}]), true);
+});
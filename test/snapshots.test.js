@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createDelta, applyDelta, snapshotTime } = require('../snapshots.js');
+const { isolatedModules, makeSnapshot } = require('./helpers.js');
+
+test('a delta rebuilds the snapshot it was made from', () => {
+  const parent = makeSnapshot('2026-01-01T00:00:00.000Z', [['p1', '2026-01-01T00:00:00Z'], ['p2', '2025-12-31T00:00:00Z']]);
+  const snapshot = makeSnapshot('2026-01-02T00:00:00.000Z', [['p3', '2026-01-02T00:00:00Z'], ['p1', '2026-01-01T00:00:00Z', 7]]);
+  snapshot.agentProfiles.bob = { name: 'bob' };
+
+  const delta = createDelta(snapshot, parent, 'snapshot-2026-01-01T00-00-00.json', 1);
+  assert.deepStrictEqual(delta.posts.removed, ['p2']);
+  assert.deepStrictEqual(delta.posts.upserted.map(p => p.id).sort(), ['p1', 'p3']);
+  assert.deepStrictEqual(delta.submolts.upserted, []);
+  assert.deepStrictEqual(applyDelta(parent, delta), snapshot);
+});
+
+test('snapshotTime reads every filename format', () => {
+  assert.deepStrictEqual(snapshotTime('snapshot-2026-02-07T14-30-05.json'), new Date('2026-02-07T14:30:05Z'));
+  assert.deepStrictEqual(snapshotTime('snapshot-2026-02-07T14-30.json.gz'), new Date('2026-02-07T14:30:00Z'));
+  assert.deepStrictEqual(snapshotTime('snapshot-2026-02-07.json'), new Date('2026-02-07T00:00:00Z'));
+  assert.strictEqual(snapshotTime('latest.json'), null);
+});
+
+test('saves within the same second get their own files', () => {
+  const { dataDir, load } = isolatedModules();
+  const { saveSnapshot, loadSnapshot, listSnapshots } = load('snapshots.js');
+
+  const first = makeSnapshot('2026-01-01T00:00:00.000Z', [['p1', '2026-01-01T00:00:00Z']]);
+  const second = makeSnapshot('2026-01-01T00:00:00.500Z', [['p2', '2026-01-01T00:00:00Z']]);
+  const a = saveSnapshot(first);
+  const b = saveSnapshot(second, { parent: a.filename, parentSnapshot: first });
+
+  assert.notStrictEqual(a.filename, b.filename);
+  assert.strictEqual(b.kind, 'delta');
+  assert.deepStrictEqual(listSnapshots(), [a.filename, b.filename]);
+  assert.deepStrictEqual(loadSnapshot(a.filename), first);
+  assert.deepStrictEqual(loadSnapshot(b.filename), second);
+  assert.strictEqual(JSON.parse(fs.readFileSync(`${dataDir}/latest.json`, 'utf8')).file, b.filename);
+});
+
+test('snapshots are named for their timestamp', () => {
+  const { load } = isolatedModules();
+  const { saveSnapshot, listSnapshots } = load('snapshots.js');
+
+  const { filename } = saveSnapshot(makeSnapshot('2026-01-05T06:07:08.900Z'));
+  assert.strictEqual(filename, 'snapshot-2026-01-05T06-07-08.json');
+  assert.deepStrictEqual(listSnapshots(), [filename]);
+});
+
+test('saveSnapshot writes a base once the delta chain reaches its limit', () => {
+  // The limit is read when the module loads
+  process.env.SNAPSHOT_MAX_DELTA_CHAIN = '1';
+  const { saveSnapshot, loadSnapshot, readSnapshotFile, isDelta, readLatest } = isolatedModules().load('snapshots.js');
+  delete process.env.SNAPSHOT_MAX_DELTA_CHAIN;
+
+  // Posts newest first, the order snapshots are loaded in
+  const snapshots = [1, 2, 3].map(n => makeSnapshot(`2026-01-0${n}T00:00:00.000Z`,
+    Array.from({ length: n }, (_, i) => [`p${i}`, `2026-01-0${i + 1}T00:00:00Z`]).reverse()));
+  const files = [];
+  snapshots.forEach((snapshot, i) => {
+    files.push(saveSnapshot(snapshot, i ? { parent: files[i - 1], parentSnapshot: snapshots[i - 1] } : {}).filename);
+  });
+
+  assert.deepStrictEqual(files.map(f => isDelta(readSnapshotFile(f))), [false, true, false]);
+  files.forEach((file, i) => assert.deepStrictEqual(loadSnapshot(file), snapshots[i]));
+  assert.deepStrictEqual(readLatest(), { timestamp: snapshots[2].timestamp, file: files[2], kind: 'base', depth: 0, stats: snapshots[2].stats });
+});
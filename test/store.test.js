@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isolatedModules, makeSnapshot } = require('./helpers.js');
+const { annotateThread } = require('../threads.js');
+
+function comment(id, parent_id, created) {
+  return { id, parent_id, author: 'bob', body: id, upvotes: 1, created };
+}
+
+// Three scrapes: a post gets a reply thread, and the submolt list grows
+function history() {
+  const first = makeSnapshot('2026-01-01T00:00:00.000Z', [['p1', '2026-01-01T00:00:00.000Z', 1]]);
+  const second = makeSnapshot('2026-01-02T00:00:00.000Z', [
+    ['p2', '2026-01-02T00:00:00.000Z', 3],
+    ['p1', '2026-01-01T00:00:00.000Z', 2],
+  ]);
+  const third = makeSnapshot('2026-01-03T00:00:00.000Z', [
+    ['p2', '2026-01-02T00:00:00.000Z', 5],
+    ['p1', '2026-01-01T00:00:00.000Z', 4],
+  ]);
+  third.posts[1].comments = annotateThread([
+    comment('c1', null, '2026-01-02T01:00:00.000Z'),
+    comment('c2', 'c1', '2026-01-02T02:00:00.000Z'),
+  ]);
+  third.posts[1].comment_count = 2;
+  third.submolts.push({ name: 'tech', display_name: 'Tech', subscribers: 2, last_activity: null, created: null });
+  return [first, second, third];
+}
+
+function loadHistory(snapshots, { sqlite = false } = {}) {
+  const previous = process.env.MOLTWATCH_STORE;
+  if (sqlite) process.env.MOLTWATCH_STORE = 'sqlite';
+  else delete process.env.MOLTWATCH_STORE;
+  try {
+    const modules = isolatedModules();
+    const { saveSnapshot } = modules.load('snapshots.js');
+    const store = modules.load('store.js');
+    let parent = null;
+    for (const [i, snapshot] of snapshots.entries()) {
+      const { filename } = saveSnapshot(snapshot, parent ? { parent, parentSnapshot: snapshots[i - 1] } : {});
+      if (sqlite) store.recordSnapshot(snapshot, filename);
+      parent = filename;
+    }
+    assert.strictEqual(store.isSqliteEnabled(), sqlite);
+    return modules.load('repository.js');
+  } finally {
+    if (previous === undefined) delete process.env.MOLTWATCH_STORE;
+    else process.env.MOLTWATCH_STORE = previous;
+  }
+}
+
+test('the SQLite store answers queries the same as the JSON snapshots', () => {
+  const snapshots = history();
+  const json = loadHistory(snapshots);
+  const sqlite = loadHistory(snapshots, { sqlite: true });
+
+  assert.strictEqual(json.getPostsScope(), 'latest');
+  assert.strictEqual(sqlite.getPostsScope(), 'all');
+  assert.deepStrictEqual(sqlite.getLatestSnapshot(), json.getLatestSnapshot());
+  assert.deepStrictEqual(json.getLatestSnapshot(), snapshots[2]);
+
+  for (const filters of [{}, { since: '2026-01-02T00:00:00.000Z' }, { author: 'alice', limit: 1, offset: 1 }]) {
+    assert.deepStrictEqual(sqlite.getPosts(filters), json.getPosts(filters), JSON.stringify(filters));
+  }
+  assert.deepStrictEqual(json.getPosts().map(p => [p.id, p.upvotes]), [['p2', 5], ['p1', 4]]);
+
+  for (const filters of [{}, { postId: 'p1' }, { since: '2026-01-02T01:30:00.000Z' }, { postId: 'p2' }]) {
+    const strip = comments => comments.map(({ depth, reply_ids, ...c }) => c);
+    assert.deepStrictEqual(strip(sqlite.getComments(filters)), strip(json.getComments(filters)), JSON.stringify(filters));
+  }
+  assert.deepStrictEqual(json.getComments().map(c => c.id), ['c2', 'c1']);
+
+  for (const filters of [{}, { limit: 2 }, { since: '2026-01-02T00:00:00.000Z' }]) {
+    assert.deepStrictEqual(sqlite.getSubmoltSnapshots(filters), json.getSubmoltSnapshots(filters), JSON.stringify(filters));
+  }
+  assert.deepStrictEqual(json.getSubmoltSnapshots().map(s => s.submolts.length), [2, 1, 1]);
+  assert.strictEqual(sqlite.getSnapshotCount(), 3);
+  assert.strictEqual(json.getSnapshotCount(), 3);
+});
+
+test('submolt lists from JSON snapshots are only loaded once', () => {
+  const [first, second, third] = history();
+  const modules = isolatedModules();
+  const { saveSnapshot } = modules.load('snapshots.js');
+  const { getSubmoltSnapshots } = modules.load('repository.js');
+
+  const a = saveSnapshot(first);
+  saveSnapshot(second, { parent: a.filename, parentSnapshot: first });
+  const before = getSubmoltSnapshots();
+  assert.strictEqual(before.length, 2);
+
+  saveSnapshot(third);
+  const after = getSubmoltSnapshots();
+  assert.deepStrictEqual(after.map(s => s.timestamp), [third.timestamp, second.timestamp, first.timestamp]);
+  assert.strictEqual(after[1], before[0]);
+  assert.strictEqual(after[2], before[1]);
+  assert.deepStrictEqual(getSubmoltSnapshots({ since: second.timestamp }), after.slice(0, 2));
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { flattenComments, annotateThread, mergeComments, buildThread } = require('../threads.js');
+
+const comment = (id, created, extra = {}) => ({ id, author: 'a', body: id, upvotes: 0, created, parent_id: null, ...extra });
+
+test('mergeComments replaces stored comments with fetched ones by id', () => {
+  const stored = [comment('c1', '2026-01-01T00:00:00Z'), comment('c2', '2026-01-01T00:01:00Z')];
+  const fetched = [comment('c1', '2026-01-01T00:00:00Z', { upvotes: 5, body: 'edited' })];
+  const merged = mergeComments(stored, fetched, { complete: false });
+
+  assert.deepStrictEqual(merged.map(c => c.id), ['c1', 'c2']);
+  assert.strictEqual(merged[0].upvotes, 5);
+  assert.strictEqual(merged[0].body, 'edited');
+});
+
+test('mergeComments drops stored comments missing from a complete fetch', () => {
+  const stored = [comment('c1', '2026-01-01T00:00:00Z'), comment('c2', '2026-01-01T00:01:00Z')];
+  const merged = mergeComments(stored, [comment('c2', '2026-01-01T00:01:00Z')]);
+  assert.deepStrictEqual(merged.map(c => c.id), ['c2']);
+});
+
+test('mergeComments threads new replies under stored parents', () => {
+  const stored = [comment('c1', '2026-01-01T00:00:00Z'), comment('c2', '2026-01-01T00:05:00Z')];
+  const fetched = [comment('r1', '2026-01-01T00:10:00Z', { parent_id: 'c1' })];
+  const merged = mergeComments(stored, fetched, { complete: false });
+
+  assert.deepStrictEqual(merged.map(c => [c.id, c.depth]), [['c1', 0], ['r1', 1], ['c2', 0]]);
+  assert.deepStrictEqual(merged[0].reply_ids, ['r1']);
+});
+
+test('mergeComments keeps comments whose parent is gone as top-level', () => {
+  const merged = mergeComments([], [comment('r1', '2026-01-01T00:10:00Z', { parent_id: 'deleted' })]);
+  assert.strictEqual(merged[0].depth, 0);
+});
+
+test('flattenComments lifts nested replies, filling in parent_id', () => {
+  const flat = flattenComments([
+    { id: 'c1', replies: [{ id: 'r1', replies: [{ id: 'r2' }] }, { id: 'r3', parent_id: 'c1' }] },
+    { id: 'c2', parent_id: null, replies: [] },
+  ]);
+  assert.deepStrictEqual(flat, [
+    { id: 'c1', parent_id: null },
+    { id: 'r1', parent_id: 'c1' },
+    { id: 'r2', parent_id: 'r1' },
+    { id: 'r3', parent_id: 'c1' },
+    { id: 'c2', parent_id: null },
+  ]);
+  assert.deepStrictEqual(flattenComments(null), []);
+});
+
+test('annotateThread orders depth-first with siblings oldest first', () => {
+  const annotated = annotateThread([
+    comment('r2', '2026-01-01T00:20:00Z', { parent_id: 'c1' }),
+    comment('c2', '2026-01-01T00:05:00Z'),
+    comment('r1', '2026-01-01T00:10:00Z', { parent_id: 'c1' }),
+    comment('rr', '2026-01-01T00:30:00Z', { parent_id: 'r1' }),
+    comment('c1', '2026-01-01T00:00:00Z'),
+  ]);
+  assert.deepStrictEqual(annotated.map(c => [c.id, c.depth, c.reply_ids]), [
+    ['c1', 0, ['r1', 'r2']],
+    ['r1', 1, ['rr']],
+    ['rr', 2, []],
+    ['r2', 1, []],
+    ['c2', 0, []],
+  ]);
+});
+
+test('annotateThread surfaces comments caught in a parent cycle', () => {
+  const annotated = annotateThread([
+    comment('a', '2026-01-01T00:00:00Z', { parent_id: 'b' }),
+    comment('b', '2026-01-01T00:01:00Z', { parent_id: 'a' }),
+    comment('self', '2026-01-01T00:02:00Z', { parent_id: 'self' }),
+  ]);
+  assert.deepStrictEqual(annotated.map(c => c.id).sort(), ['a', 'b', 'self']);
+  assert.strictEqual(annotated.find(c => c.id === 'self').depth, 0);
+});
+
+test('buildThread nests replies under their parents', () => {
+  const thread = buildThread({
+    id: 'p1',
+    title: 'Post',
+    author: 'alice',
+    submolt: 'general',
+    created: '2026-01-01T00:00:00Z',
+    comment_count: 4,
+    comments: [
+      comment('c1', '2026-01-01T00:00:00Z'),
+      comment('r1', '2026-01-01T00:10:00Z', { parent_id: 'c1' }),
+      comment('rr', '2026-01-01T00:20:00Z', { parent_id: 'r1' }),
+    ],
+  });
+
+  assert.strictEqual(thread.fetchedComments, 3);
+  assert.strictEqual(thread.maxDepth, 2);
+  assert.strictEqual(thread.comments.length, 1);
+  assert.strictEqual(thread.comments[0].replies[0].id, 'r1');
+  assert.strictEqual(thread.comments[0].replies[0].replies[0].id, 'rr');
+  assert.deepStrictEqual(thread.comments[0].replies[0].replies[0].replies, []);
+});
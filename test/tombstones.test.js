@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { detectRemovals } = require('../tombstones.js');
+const { isolatedModules } = require('./helpers.js');
+
+const post = (id, created, comments = []) => ({ id, title: id, author: 'alice', submolt: 'general', created, comments });
+const comment = id => ({ id, author: 'bob', body: id, created: '2026-01-01T00:00:00Z' });
+const snapshot = (timestamp, posts, submolts = ['general']) => ({ timestamp, posts, submolts: submolts.map(name => ({ name })) });
+
+test('detectRemovals reports posts, re-fetched comments and submolts that disappeared', () => {
+  const previous = snapshot('2026-01-01T00:00:00Z', [
+    post('p1', '2026-01-01T00:00:00Z', [comment('c1'), comment('c2')]),
+    post('p2', '2026-01-01T00:00:00Z'),
+    post('p3', '2026-01-01T00:00:00Z', [comment('c3')]),
+  ], ['general', 'gone']);
+  const current = snapshot('2026-01-02T00:00:00Z', [
+    post('p1', '2026-01-01T00:00:00Z', [comment('c1')]),
+    post('p3', '2026-01-01T00:00:00Z', []),
+  ]);
+
+  const removals = detectRemovals(previous, current, { commentsFetched: new Set(['p1']) });
+  assert.deepStrictEqual(removals.posts.map(p => p.id), ['p2']);
+  // p3's thread wasn't re-fetched, so its comments can't be declared missing
+  assert.deepStrictEqual(removals.comments.map(c => [c.id, c.post_id]), [['c2', 'p1']]);
+  assert.deepStrictEqual(removals.submolts.map(s => s.name), ['gone']);
+});
+
+test('detectRemovals only checks posts the run could have seen', () => {
+  const previous = snapshot('2026-01-01T00:00:00Z', [post('old', '2025-12-01T00:00:00Z'), post('new', '2026-01-01T00:00:00Z'), post('kept', '2026-01-01T00:00:00Z')]);
+  const current = snapshot('2026-01-02T00:00:00Z', [post('kept', '2026-01-01T00:00:00Z')]);
+
+  assert.deepStrictEqual(detectRemovals(previous, current, { postWindowStart: '2025-12-31T00:00:00Z' }).posts.map(p => p.id), ['new']);
+  assert.deepStrictEqual(detectRemovals(previous, current, { postsComplete: false }).posts, []);
+});
+
+test('detectRemovals skips posts when most vanish at once, and submolts when none were listed', () => {
+  const previous = snapshot('2026-01-01T00:00:00Z', [post('p1', '2026-01-01T00:00:00Z'), post('p2', '2026-01-01T00:00:00Z')], ['general']);
+  const current = snapshot('2026-01-02T00:00:00Z', [], []);
+  const { warn } = console;
+  console.warn = () => {};
+  try {
+    const removals = detectRemovals(previous, current);
+    assert.deepStrictEqual(removals.posts, []);
+    assert.deepStrictEqual(removals.submolts, []);
+  } finally {
+    console.warn = warn;
+  }
+});
+
+test('recorded removals are listed newest first and dropped when they reappear', () => {
+  const { dataDir, load } = isolatedModules();
+  const { recordRemovals, getRemovals, getRemovalCounts } = load('tombstones.js');
+
+  const first = snapshot('2026-01-01T00:00:00Z', [post('p1', '2026-01-01T00:00:00Z'), post('p2', '2026-01-01T00:00:00Z')]);
+  const second = snapshot('2026-01-02T00:00:00Z', [post('p2', '2026-01-01T00:00:00Z')]);
+  assert.deepStrictEqual(recordRemovals({ posts: [{ id: 'p1', title: 'p1' }], comments: [], submolts: [] }, first, second), { posts: 1, comments: 0, submolts: 0 });
+
+  assert.deepStrictEqual(getRemovals().map(r => [r.type, r.id, r.lastSeenAt]), [['post', 'p1', '2026-01-01T00:00:00Z']]);
+  assert.deepStrictEqual(getRemovalCounts('2026-01-02T00:00:00Z'), { posts: 1, comments: 0, submolts: 0 });
+  assert.deepStrictEqual(getRemovals({ type: 'comment' }), []);
+
+  const third = snapshot('2026-01-03T00:00:00Z', [post('p1', '2026-01-01T00:00:00Z'), post('p2', '2026-01-01T00:00:00Z')]);
+  recordRemovals({ posts: [], comments: [], submolts: [] }, second, third);
+  assert.deepStrictEqual(getRemovals(), []);
+  assert.deepStrictEqual(fs.readdirSync(dataDir), ['tombstones.json']);
+});
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Moltbook Comment Threads
+ * Reconstructs reply chains from snapshot comments
+ */
+
+/**
+ * Flatten API comments into one list. Replies may arrive nested under
+ * `replies`; their parent_id is filled in from the nesting when missing.
+ */
+function flattenComments(comments, parentId = null) {
+  const flat = [];
+  for (const comment of comments || []) {
+    const { replies, ...rest } = comment;
+    flat.push({ ...rest, parent_id: rest.parent_id ?? parentId });
+    if (Array.isArray(replies) && replies.length > 0) {
+      flat.push(...flattenComments(replies, comment.id));
+    }
+  }
+  return flat;
+}
+
+/**
+ * Annotate snapshot comments with depth and ordered reply_ids, returned in
+ * reading order (depth-first, siblings oldest first). Comments whose parent
+ * isn't in the list (deleted or not fetched) are treated as top-level.
+ */
+function annotateThread(comments) {
+  const byId = new Map(comments.map(c => [c.id, c]));
+  const children = new Map();
+  const roots = [];
+
+  for (const c of comments) {
+    const hasParent = c.parent_id && c.parent_id !== c.id && byId.has(c.parent_id);
+    if (!hasParent) {
+      roots.push(c);
+      continue;
+    }
+    if (!children.has(c.parent_id)) children.set(c.parent_id, []);
+    children.get(c.parent_id).push(c);
+  }
+
+  const byCreated = (a, b) => new Date(a.created) - new Date(b.created);
+  const ordered = [];
+  const visited = new Set();
+  const visit = (c, depth) => {
+    if (visited.has(c.id)) return;
+    visited.add(c.id);
+    const replies = (children.get(c.id) || []).sort(byCreated);
+    ordered.push({ ...c, parent_id: c.parent_id || null, depth, reply_ids: replies.map(r => r.id) });
+    replies.forEach(reply => visit(reply, depth + 1));
+  };
+  roots.sort(byCreated).forEach(root => visit(root, 0));
+  // Anything left sits in a parent cycle; surface it rather than drop it
+  comments.filter(c => !visited.has(c.id)).forEach(c => visit(c, 0));
+
+  return ordered;
+}
+
+/**
+ * Whether comments are a post's whole thread: at least as many as its
+ * comment_count says it has
+ */
+function threadComplete(post, comments = post.comments) {
+  return (comments?.length || 0) >= (post.comment_count || 0);
+}
+
+/**
+ * Merge a re-fetched thread into the stored one by comment id. Fetched
+ * comments replace stored ones, so edits and upvote changes land. Stored
+ * comments the fetch didn't return are kept unless it returned the complete
+ * thread, in which case they were deleted.
+ */
+function mergeComments(stored = [], fetched = [], { complete = true } = {}) {
+  const byId = new Map(complete ? [] : stored.map(c => [c.id, c]));
+  for (const c of fetched) byId.set(c.id, c);
+  return annotateThread(Array.from(byId.values()));
+}
+
+/**
+ * Nest a post's comments into a reply tree
+ */
+function buildThread(post) {
+  const comments = annotateThread(post.comments || []);
+  const nodes = new Map(comments.map(c => [c.id, { ...c, replies: [] }]));
+  const roots = [];
+
+  for (const c of comments) {
+    const node = nodes.get(c.id);
+    if (c.depth > 0) nodes.get(c.parent_id).replies.push(node);
+    else roots.push(node);
+  }
+
+  return {
+    id: post.id,
+    title: post.title,
+    author: post.author,
+    submolt: post.submolt,
+    created: post.created,
+    comment_count: post.comment_count,
+    fetchedComments: comments.length,
+    maxDepth: comments.reduce((max, c) => Math.max(max, c.depth), 0),
+    comments: roots,
+  };
+}
+
+/**
+ * Threaded view of a post from the latest snapshot
+ */
+function getPostThread(postId) {
+  // Required here: snapshots.js migrates with annotateThread, so it loads this module
+  const { getLatestSnapshot } = require('./repository.js');
+  const snapshot = getLatestSnapshot();
+  const post = (snapshot.posts || []).find(p => p.id === postId);
+  return post ? buildThread(post) : null;
+}
+
+function printThread(comments, indent = '') {
+  for (const c of comments) {
+    console.log(`${indent}- ${c.author} (${c.upvotes || 0}↑): ${(c.body || '').slice(0, 80)}`);
+    printThread(c.replies, indent + '  ');
+  }
+}
+
+// ============ CLI ============
+
+if (require.main === module) {
+  const postId = process.argv[2];
+  if (!postId) {
+    console.log('Usage: node threads.js <postId>');
+    process.exit(1);
+  }
+
+  const thread = getPostThread(postId);
+  if (!thread) {
+    console.log(`Post "${postId}" not found in latest snapshot`);
+    process.exit(1);
+  }
+
+  console.log(`${thread.title} — ${thread.author} in m/${thread.submolt}`);
+  console.log(`${thread.fetchedComments} comments, max depth ${thread.maxDepth}\n`);
+  printThread(thread.comments);
+}
+
+module.exports = { flattenComments, annotateThread, threadComplete, mergeComments, buildThread, getPostThread };
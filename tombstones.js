@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * MoltWatch Removal Tracking
+ * Detects posts, comments and submolts that disappear between scrapes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./lock.js');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const TOMBSTONES_FILE = path.join(DATA_DIR, 'tombstones.json');
+
+// If more than this share of previously seen posts vanish at once, assume an
+// API problem rather than moderation and skip post detection for the run
+const MAX_REMOVAL_RATIO = 0.5;
+
+const TYPES = ['posts', 'comments', 'submolts'];
+
+function loadTombstones() {
+  try {
+    if (fs.existsSync(TOMBSTONES_FILE)) {
+      return JSON.parse(fs.readFileSync(TOMBSTONES_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.warn('Failed to load tombstones:', error.message);
+  }
+  return { updatedAt: null, posts: {}, comments: {}, submolts: {} };
+}
+
+function saveTombstones(tombstones) {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    writeFileAtomic(TOMBSTONES_FILE, JSON.stringify(tombstones, null, 2));
+  } catch (error) {
+    console.error('Failed to save tombstones:', error.message);
+  }
+}
+
+/**
+ * Compare the previous snapshot against the one just scraped. Only things
+ * this run actually re-checked can be declared missing:
+ *   postWindowStart  incremental runs only see posts created at or after this
+ *   postsComplete    false when the post listing was cut short by errors
+ *   commentsFetched  post IDs whose comment threads were fetched this run
+ */
+function detectRemovals(previous, current, { postWindowStart = null, postsComplete = true, commentsFetched = new Set() } = {}) {
+  const removals = { posts: [], comments: [], submolts: [] };
+  if (!previous) return removals;
+
+  const currentPosts = new Map((current.posts || []).map(p => [p.id, p]));
+
+  // Posts
+  if (postsComplete) {
+    const expected = (previous.posts || []).filter(p =>
+      !postWindowStart || new Date(p.created) >= new Date(postWindowStart)
+    );
+    const missing = expected.filter(p => !currentPosts.has(p.id));
+
+    if (expected.length > 0 && missing.length / expected.length > MAX_REMOVAL_RATIO) {
+      console.warn(`  ⚠️  ${missing.length}/${expected.length} posts missing, skipping post removal detection`);
+    } else {
+      removals.posts = missing.map(p => ({
+        id: p.id,
+        title: p.title,
+        author: p.author,
+        submolt: p.submolt,
+        created: p.created,
+        upvotes: p.upvotes,
+        comment_count: p.comment_count,
+      }));
+    }
+  }
+
+  // Comments, only on posts that still exist and were re-fetched
+  for (const prevPost of previous.posts || []) {
+    if (!commentsFetched.has(prevPost.id)) continue;
+    const currentPost = currentPosts.get(prevPost.id);
+    if (!currentPost) continue;
+
+    const currentIds = new Set((currentPost.comments || []).map(c => c.id));
+    for (const c of prevPost.comments || []) {
+      if (currentIds.has(c.id)) continue;
+      removals.comments.push({
+        id: c.id,
+        post_id: prevPost.id,
+        parent_id: c.parent_id || null,
+        author: c.author,
+        body: c.body,
+        created: c.created,
+      });
+    }
+  }
+
+  // Submolts are always listed in full; an empty list means the call failed
+  if ((current.submolts || []).length > 0) {
+    const currentNames = new Set(current.submolts.map(s => s.name));
+    removals.submolts = (previous.submolts || [])
+      .filter(s => !currentNames.has(s.name))
+      .map(s => ({
+        id: s.name,
+        name: s.name,
+        display_name: s.display_name,
+        subscribers: s.subscribers,
+        created: s.created,
+      }));
+  }
+
+  return removals;
+}
+
+/**
+ * Persist newly detected removals and drop tombstones for anything that has
+ * reappeared in the current snapshot. Returns counts of new tombstones.
+ */
+function recordRemovals(removals, previous, current) {
+  const tombstones = loadTombstones();
+  const lastSeenAt = previous?.timestamp || null;
+  const counts = { posts: 0, comments: 0, submolts: 0 };
+
+  for (const type of TYPES) {
+    for (const item of removals[type]) {
+      if (tombstones[type][item.id]) continue;
+      tombstones[type][item.id] = { ...item, firstMissingAt: current.timestamp, lastSeenAt };
+      counts[type]++;
+    }
+  }
+
+  // Reappearances: briefly hidden content, or a false positive
+  const present = {
+    posts: new Set((current.posts || []).map(p => p.id)),
+    comments: new Set((current.posts || []).flatMap(p => (p.comments || []).map(c => c.id))),
+    submolts: new Set((current.submolts || []).map(s => s.name)),
+  };
+  for (const type of TYPES) {
+    for (const id of Object.keys(tombstones[type])) {
+      if (present[type].has(id)) delete tombstones[type][id];
+    }
+  }
+
+  tombstones.updatedAt = current.timestamp;
+  saveTombstones(tombstones);
+  return counts;
+}
+
+/**
+ * Removal feed, newest first. type: 'post' | 'comment' | 'submolt'
+ */
+function getRemovals({ type = null, since = null, limit = 100 } = {}) {
+  const tombstones = loadTombstones();
+  const types = type ? [`${type.replace(/s$/, '')}s`] : TYPES;
+  const sinceTime = since ? new Date(since).getTime() : 0;
+
+  const items = [];
+  for (const t of types) {
+    for (const item of Object.values(tombstones[t] || {})) {
+      if (new Date(item.firstMissingAt).getTime() < sinceTime) continue;
+      items.push({ type: t.slice(0, -1), ...item });
+    }
+  }
+
+  items.sort((a, b) => new Date(b.firstMissingAt) - new Date(a.firstMissingAt));
+  return items.slice(0, limit);
+}
+
+/**
+ * Count removals first detected since a timestamp
+ */
+function getRemovalCounts(since) {
+  const tombstones = loadTombstones();
+  const sinceTime = new Date(since).getTime();
+  const counts = {};
+  for (const type of TYPES) {
+    counts[type] = Object.values(tombstones[type])
+      .filter(item => new Date(item.firstMissingAt).getTime() >= sinceTime)
+      .length;
+  }
+  return counts;
+}
+
+// ============ CLI ============
+
+if (require.main === module) {
+  const type = process.argv[2];
+  const removals = getRemovals({ type, limit: 50 });
+  console.log(`🪦 ${removals.length} recent removals${type ? ` (${type})` : ''}\n`);
+  for (const r of removals) {
+    const label = r.type === 'post' ? r.title : r.type === 'comment' ? (r.body || '').slice(0, 60) : `m/${r.name}`;
+    console.log(`${r.firstMissingAt}  [${r.type}] ${label}${r.author ? ` — ${r.author}` : ''}`);
+  }
+}
+
+module.exports = { detectRemovals, recordRemovals, getRemovals, getRemovalCounts };